@@ -0,0 +1,202 @@
+// BOLT-11: Lightning invoice decoding
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+import { bech32DecodeWords, wordsToBytes } from './nip19.js';
+
+const NETWORKS = { bc: 'bitcoin', tb: 'testnet', tbs: 'signet', bcrt: 'regtest' };
+
+// Millisats per unit for each amount multiplier ('' is whole BTC)
+const MULTIPLIERS = { '': 100000000000n, m: 100000000n, u: 100000n, n: 100n };
+
+const DEFAULT_EXPIRY = 3600;
+const DEFAULT_MIN_FINAL_CLTV_EXPIRY = 18;
+
+const TIMESTAMP_WORDS = 7;
+const SIGNATURE_WORDS = 104;
+
+// Tagged field types, by their bech32 character
+const TAG_PAYMENT_HASH = 1; // p
+const TAG_ROUTE_HINT = 3; // r
+const TAG_EXPIRY = 6; // x
+const TAG_DESCRIPTION = 13; // d
+const TAG_PAYMENT_SECRET = 16; // s
+const TAG_PAYEE = 19; // n
+const TAG_DESCRIPTION_HASH = 23; // h
+const TAG_MIN_FINAL_CLTV_EXPIRY = 24; // c
+
+// Each route hint hop: pubkey, short channel id, fee base, fee rate, CLTV delta
+const ROUTE_HOP_LENGTH = 51;
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+function wordsToInt(words) {
+  return words.reduce((acc, word) => acc * 32 + word, 0);
+}
+
+function readUint(bytes, offset, length) {
+  let value = 0;
+  for (let i = offset; i < offset + length; i++) value = value * 256 + bytes[i];
+  return value;
+}
+
+/**
+ * Parse the human-readable part: network and amount in millisats (null for
+ * "any amount" invoices)
+ */
+function parsePrefix(prefix) {
+  const match = prefix.match(/^ln(bcrt|bc|tbs|tb)(?:(\d+)([munp]?))?$/);
+  if (!match) throw new Error('Invalid invoice prefix');
+
+  const [, currency, digits, multiplier] = match;
+  if (!digits) return { network: NETWORKS[currency], amount: null };
+  if (digits.startsWith('0')) throw new Error('Invalid invoice amount');
+
+  // Pico-bitcoin amounts are tenths of a millisat and must be whole millisats
+  if (multiplier === 'p') {
+    if (BigInt(digits) % 10n !== 0n) throw new Error('Invalid invoice amount');
+    return { network: NETWORKS[currency], amount: Number(BigInt(digits) / 10n) };
+  }
+  return { network: NETWORKS[currency], amount: Number(BigInt(digits) * MULTIPLIERS[multiplier]) };
+}
+
+function parseRouteHint(bytes) {
+  if (bytes.length === 0 || bytes.length % ROUTE_HOP_LENGTH !== 0) return null;
+
+  const hops = [];
+  for (let offset = 0; offset < bytes.length; offset += ROUTE_HOP_LENGTH) {
+    hops.push({
+      pubkey: bytesToHex(bytes.slice(offset, offset + 33)),
+      shortChannelId: bytesToHex(bytes.slice(offset + 33, offset + 41)),
+      feeBaseMsat: readUint(bytes, offset + 41, 4),
+      feeProportionalMillionths: readUint(bytes, offset + 45, 4),
+      cltvExpiryDelta: readUint(bytes, offset + 49, 2),
+    });
+  }
+  return hops;
+}
+
+/**
+ * Decode and verify a BOLT-11 invoice. Returns
+ * { paymentRequest, network, amount, timestamp, expiry, expiresAt,
+ *   paymentHash, paymentSecret, description, descriptionHash, payeeNodeKey,
+ *   minFinalCltvExpiry, routeHints }
+ * with amount in millisats (null if unspecified), times in seconds and
+ * routeHints as a list of routes, each a list of hops. Throws if the invoice
+ * is malformed or its signature doesn't match the payee.
+ */
+export function decodeInvoice(paymentRequest) {
+  const invoice = paymentRequest.trim().replace(/^lightning:/i, '').toLowerCase();
+  const { prefix, words } = bech32DecodeWords(invoice);
+  const { network, amount } = parsePrefix(prefix);
+
+  if (words.length < TIMESTAMP_WORDS + SIGNATURE_WORDS) throw new Error('Invoice too short');
+  const dataWords = words.slice(0, -SIGNATURE_WORDS);
+
+  const decoded = {
+    paymentRequest: invoice,
+    network,
+    amount,
+    timestamp: wordsToInt(words.slice(0, TIMESTAMP_WORDS)),
+    expiry: DEFAULT_EXPIRY,
+    expiresAt: 0,
+    paymentHash: null,
+    paymentSecret: null,
+    description: null,
+    descriptionHash: null,
+    payeeNodeKey: null,
+    minFinalCltvExpiry: DEFAULT_MIN_FINAL_CLTV_EXPIRY,
+    routeHints: [],
+  };
+
+  // Tagged fields: type, 10-bit length in words, data. Fields with an
+  // unexpected length are skipped, and the first of a repeated field wins.
+  const seen = new Set();
+  for (let i = TIMESTAMP_WORDS; i < dataWords.length;) {
+    if (i + 3 > dataWords.length) throw new Error('Truncated invoice field');
+    const type = dataWords[i];
+    const length = dataWords[i + 1] * 32 + dataWords[i + 2];
+    const fieldWords = dataWords.slice(i + 3, i + 3 + length);
+    i += 3 + length;
+    if (i > dataWords.length) throw new Error('Truncated invoice field');
+
+    if (type === TAG_ROUTE_HINT) {
+      const hops = parseRouteHint(wordsToBytes(fieldWords, true).slice(0, Math.floor(length * 5 / 8)));
+      if (hops) decoded.routeHints.push(hops);
+      continue;
+    }
+    if (seen.has(type)) continue;
+
+    switch (type) {
+      case TAG_PAYMENT_HASH:
+        if (length !== 52) continue;
+        decoded.paymentHash = bytesToHex(wordsToBytes(fieldWords));
+        break;
+      case TAG_PAYMENT_SECRET:
+        if (length !== 52) continue;
+        decoded.paymentSecret = bytesToHex(wordsToBytes(fieldWords));
+        break;
+      case TAG_DESCRIPTION_HASH:
+        if (length !== 52) continue;
+        decoded.descriptionHash = bytesToHex(wordsToBytes(fieldWords));
+        break;
+      case TAG_PAYEE:
+        if (length !== 53) continue;
+        decoded.payeeNodeKey = bytesToHex(wordsToBytes(fieldWords));
+        break;
+      case TAG_DESCRIPTION:
+        decoded.description = utf8Decoder.decode(wordsToBytes(fieldWords, true).slice(0, Math.floor(length * 5 / 8)));
+        break;
+      case TAG_EXPIRY:
+        decoded.expiry = wordsToInt(fieldWords);
+        break;
+      case TAG_MIN_FINAL_CLTV_EXPIRY:
+        decoded.minFinalCltvExpiry = wordsToInt(fieldWords);
+        break;
+      default:
+        continue;
+    }
+    seen.add(type);
+  }
+
+  if (!decoded.paymentHash) throw new Error('Invoice has no payment hash');
+  decoded.expiresAt = decoded.timestamp + decoded.expiry;
+
+  // The signature covers the prefix and all data words, zero-padded to bytes
+  const signature = wordsToBytes(words.slice(-SIGNATURE_WORDS));
+  const recovery = signature[64];
+  if (recovery > 3) throw new Error('Invalid invoice signature');
+
+  const hrpBytes = utf8Encoder.encode(prefix);
+  const dataBytes = wordsToBytes(dataWords, true);
+  const message = new Uint8Array(hrpBytes.length + dataBytes.length);
+  message.set(hrpBytes);
+  message.set(dataBytes, hrpBytes.length);
+  const hash = sha256(message);
+
+  // Out-of-range values and unrecoverable keys are bad signatures too
+  let valid;
+  try {
+    const sig = secp256k1.Signature.fromCompact(signature.slice(0, 64));
+    if (decoded.payeeNodeKey) {
+      valid = secp256k1.verify(sig, hash, decoded.payeeNodeKey, { lowS: false });
+    } else {
+      decoded.payeeNodeKey = sig.addRecoveryBit(recovery).recoverPublicKey(hash).toHex(true);
+      valid = true;
+    }
+  } catch {
+    valid = false;
+  }
+  if (!valid) throw new Error('Invalid invoice signature');
+
+  return decoded;
+}
+
+/**
+ * Check if a decoded invoice has expired
+ */
+export function isInvoiceExpired(decoded, now = Math.floor(Date.now() / 1000)) {
+  return decoded.expiresAt <= now;
+}
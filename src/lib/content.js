@@ -0,0 +1,126 @@
+// Note content parsing: split text into typed segments (NIP-21/NIP-27)
+//
+// Segment types:
+//   { type: 'text', value }
+//   { type: 'link', url }
+//   { type: 'image', url }
+//   { type: 'video', url }
+//   { type: 'mention', entity, data, uri }  - entity is npub/nprofile/note/nevent/naddr
+//   { type: 'hashtag', tag }
+//   { type: 'invoice', invoice }
+
+import { decode } from './nip19.js';
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'm4v', 'ogv'];
+
+const MENTION_ENTITIES = ['npub', 'nprofile', 'note', 'nevent', 'naddr'];
+
+// One alternation per segment type, tried left to right at each position
+const TOKEN_REGEX = new RegExp([
+  '(?<nostr>nostr:(?:npub|nprofile|note|nevent|naddr)1[023456789acdefghjklmnpqrstuvwxyz]+)',
+  '(?<url>https?:\\/\\/[^\\s<>"]+)',
+  '(?<invoice>(?:lightning:)?ln(?:bc|tb|tbs|bcrt)[0-9]*[munp]?1[023456789acdefghjklmnpqrstuvwxyz]{50,})',
+  '(?<legacy>#\\[\\d+\\])',
+  '(?<=^|[\\s(])(?<hashtag>#[\\p{L}\\p{N}_]+)',
+].join('|'), 'giu');
+
+/**
+ * Drop punctuation that ends a sentence rather than the URL, keeping
+ * closing parentheses the URL opened
+ */
+function trimUrl(url) {
+  const count = (text, char) => text.split(char).length - 1;
+  let end = url.length;
+  for (;;) {
+    const last = url[end - 1];
+    if ('.,;:!?\'"'.includes(last)) end--;
+    else if (last === ')' && count(url.slice(0, end), ')') > count(url.slice(0, end), '(')) end--;
+    else break;
+  }
+  return url.slice(0, end);
+}
+
+/**
+ * Classify a URL as image, video or plain link by its file extension
+ */
+function urlSegment(url) {
+  let extension = '';
+  try {
+    extension = new URL(url).pathname.split('.').pop().toLowerCase();
+  } catch (e) {
+    return null;
+  }
+
+  if (IMAGE_EXTENSIONS.includes(extension)) return { type: 'image', url };
+  if (VIDEO_EXTENSIONS.includes(extension)) return { type: 'video', url };
+  return { type: 'link', url };
+}
+
+/**
+ * Decode a nostr: URI into a mention segment, or null if it's malformed
+ */
+function mentionSegment(uri) {
+  try {
+    const { type, data } = decode(uri);
+    if (!MENTION_ENTITIES.includes(type)) return null;
+    return { type: 'mention', entity: type, data, uri };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a legacy NIP-08 "#[index]" mention against the event's tags.
+ * Tags that don't hold a valid pubkey or event id stay plain text.
+ */
+function legacyMentionSegment(token, tags) {
+  const tag = tags[Number(token.slice(2, -1))];
+  if (!tag || typeof tag[1] !== 'string' || !/^[0-9a-f]{64}$/.test(tag[1])) return null;
+  if (tag[0] === 'p') return { type: 'mention', entity: 'npub', data: tag[1], uri: token };
+  if (tag[0] === 'e') return { type: 'mention', entity: 'note', data: tag[1], uri: token };
+  return null;
+}
+
+/**
+ * Split note content into segments. `tags` is only needed for legacy
+ * "#[index]" mentions.
+ */
+export function parseContent(content, tags = []) {
+  const segments = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = segments[segments.length - 1];
+    if (last?.type === 'text') last.value += value;
+    else segments.push({ type: 'text', value });
+  };
+
+  let index = 0;
+  for (const match of content.matchAll(TOKEN_REGEX)) {
+    const groups = match.groups;
+    let token = match[0];
+    let segment = null;
+
+    if (groups.nostr) {
+      segment = mentionSegment(token);
+    } else if (groups.url) {
+      token = trimUrl(token);
+      segment = urlSegment(token);
+    } else if (groups.invoice) {
+      segment = { type: 'invoice', invoice: token.replace(/^lightning:/i, '').toLowerCase() };
+    } else if (groups.legacy) {
+      segment = legacyMentionSegment(token, tags);
+    } else if (groups.hashtag) {
+      segment = { type: 'hashtag', tag: token.slice(1).toLowerCase() };
+    }
+
+    if (!segment) continue;
+
+    pushText(content.slice(index, match.index));
+    segments.push(segment);
+    index = match.index + token.length;
+  }
+
+  pushText(content.slice(index));
+  return segments;
+}
@@ -118,6 +118,18 @@ export function createProfileDataEvent(metadata) {
   };
 }
 
+/**
+ * Parse a kind 0 (metadata) event's content, or {} if it isn't valid JSON
+ */
+export function parseProfileData(event) {
+  try {
+    const data = JSON.parse(event.content);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
 /**
  * Create a kind 3 (contact list / follows) event template
  */
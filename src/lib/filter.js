@@ -0,0 +1,60 @@
+// NIP-01: Filter matching utilities
+
+/**
+ * Check if an event matches a single filter.
+ * `limit` only bounds how many stored events a REQ returns, see getFilterLimit.
+ */
+export function matchFilter(filter, event) {
+  if (filter.ids && !filter.ids.includes(event.id)) return false;
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+
+  for (const key in filter) {
+    if (key[0] !== '#') continue;
+
+    const tagName = key.slice(1);
+    const values = filter[key];
+    if (!Array.isArray(values)) continue;
+
+    const hasTag = event.tags.some(tag => tag[0] === tagName && values.includes(tag[1]));
+    if (!hasTag) return false;
+  }
+
+  if (filter.since && event.created_at < filter.since) return false;
+  if (filter.until && event.created_at > filter.until) return false;
+
+  return true;
+}
+
+/**
+ * Check if an event matches any of the filters
+ */
+export function matchFilters(filters, event) {
+  for (const filter of filters) {
+    if (matchFilter(filter, event)) return true;
+  }
+  return false;
+}
+
+/**
+ * Get the maximum number of stored events a set of filters can return
+ * before EOSE, or Infinity if any filter is unbounded
+ */
+export function getFilterLimit(filters) {
+  let total = 0;
+
+  for (const filter of filters) {
+    let limit = Infinity;
+    if (typeof filter.limit === 'number') limit = Math.min(limit, filter.limit);
+    if (filter.ids) limit = Math.min(limit, filter.ids.length);
+
+    // Nothing can match an empty list
+    if (filter.ids?.length === 0 || filter.kinds?.length === 0 || filter.authors?.length === 0) {
+      limit = 0;
+    }
+
+    total += limit;
+  }
+
+  return total;
+}
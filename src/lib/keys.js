@@ -1,5 +1,18 @@
 import { schnorr } from '@noble/curves/secp256k1';
 import { bytesToHex } from '@noble/hashes/utils';
+import { LocalSigner, ExtensionSigner } from './signer.js';
+import { BunkerSigner } from './nip46.js';
+import * as nip49 from './nip49.js';
+
+// One remote signer per page, so its relay subscription is shared
+let bunkerSigner = null;
+
+// Where an unlocked ncryptsec key is kept. Every page is a fresh document,
+// so keeping it only in memory would mean typing the password on each
+// page. Instead it stays in this tab's sessionStorage until the tab closes
+// or the user logs out. Scripts on this site can read it there: the
+// password protects the key at rest, not from a compromised page.
+const SESSION_KEY = 'nostr_session_key';
 
 /**
  * Generate a new random secret key (private key)
@@ -44,7 +57,8 @@ export async function getPublicKeyFromExtension() {
 }
 
 /**
- * Store secret key in local storage (for demo purposes)
+ * Store secret key in local storage unencrypted. Only used when the user
+ * explicitly opts out of password protection.
  */
 export function storeSecretKey(secretKeyHex) {
   localStorage.setItem('nostr_secret_key', secretKeyHex);
@@ -57,6 +71,52 @@ export function getStoredSecretKey() {
   return localStorage.getItem('nostr_secret_key');
 }
 
+/**
+ * Store the secret key encrypted with a password (NIP-49) and unlock it
+ * for this tab, see SESSION_KEY
+ */
+export async function storeEncryptedSecretKey(secretKeyHex, password) {
+  const ncryptsec = await nip49.encrypt(hexToBytes(secretKeyHex), password);
+  localStorage.setItem('nostr_ncryptsec', ncryptsec);
+  localStorage.removeItem('nostr_secret_key');
+  sessionStorage.setItem(SESSION_KEY, secretKeyHex);
+}
+
+/**
+ * Store an existing ncryptsec after checking the password opens it
+ */
+export async function importNcryptsec(ncryptsec, password) {
+  const secretKey = await nip49.decrypt(ncryptsec, password);
+  localStorage.setItem('nostr_ncryptsec', ncryptsec);
+  localStorage.removeItem('nostr_secret_key');
+  sessionStorage.setItem(SESSION_KEY, bytesToHex(secretKey));
+}
+
+/**
+ * Retrieve the encrypted secret key from local storage
+ */
+export function getStoredNcryptsec() {
+  return localStorage.getItem('nostr_ncryptsec');
+}
+
+/**
+ * Decrypt the stored ncryptsec for the rest of this tab's session, see
+ * SESSION_KEY
+ */
+export async function unlockSecretKey(password) {
+  const ncryptsec = getStoredNcryptsec();
+  if (!ncryptsec) throw new Error('No encrypted key stored');
+  const secretKey = await nip49.decrypt(ncryptsec, password);
+  sessionStorage.setItem(SESSION_KEY, bytesToHex(secretKey));
+}
+
+/**
+ * Check if the stored key is encrypted and not unlocked in this session
+ */
+export function isLocked() {
+  return getLoginMethod() === 'ncryptsec' && !sessionStorage.getItem(SESSION_KEY);
+}
+
 /**
  * Store login method
  */
@@ -71,11 +131,35 @@ export function getLoginMethod() {
   return localStorage.getItem('nostr_login_method');
 }
 
+/**
+ * Store a remote signer (NIP-46) session so it survives reloads
+ */
+export function storeBunkerSession(signer) {
+  localStorage.setItem('nostr_bunker_session', JSON.stringify(signer.toJSON()));
+  bunkerSigner = signer;
+}
+
+/**
+ * Retrieve the stored remote signer session
+ */
+export function getStoredBunkerSession() {
+  try {
+    return JSON.parse(localStorage.getItem('nostr_bunker_session'));
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * Clear all stored auth data
  */
 export function logout() {
+  bunkerSigner?.close();
+  bunkerSigner = null;
   localStorage.removeItem('nostr_secret_key');
+  localStorage.removeItem('nostr_ncryptsec');
+  sessionStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem('nostr_bunker_session');
   localStorage.removeItem('nostr_login_method');
 }
 
@@ -87,34 +171,68 @@ export function isLoggedIn() {
   if (method === 'extension') {
     return hasNostrExtension();
   }
+  if (method === 'bunker') {
+    return !!getStoredBunkerSession();
+  }
+  if (method === 'ncryptsec') {
+    // A locked key counts as logged out until the login page unlocks it
+    return !!getStoredNcryptsec() && !isLocked();
+  }
   return !!getStoredSecretKey();
 }
 
 /**
- * Get current user's public key
+ * Get the signer for the current login method, or null if logged out
  */
-export async function getCurrentUserPubkey() {
+export function getSigner() {
   const method = getLoginMethod();
 
   if (method === 'extension') {
-    try {
-      return await getPublicKeyFromExtension();
-    } catch (e) {
-      console.error('Failed to get pubkey from extension:', e);
-      return null;
+    return hasNostrExtension() ? new ExtensionSigner() : null;
+  }
+
+  if (method === 'bunker') {
+    if (!bunkerSigner) {
+      const session = getStoredBunkerSession();
+      if (!session) return null;
+      bunkerSigner = BunkerSigner.fromSession(session);
     }
+    return bunkerSigner;
+  }
+
+  if (method === 'ncryptsec') {
+    const sessionKeyHex = sessionStorage.getItem(SESSION_KEY);
+    return sessionKeyHex ? new LocalSigner(hexToBytes(sessionKeyHex)) : null;
   }
 
   const secretKeyHex = getStoredSecretKey();
   if (secretKeyHex) {
-    try {
-      const secretKey = hexToBytes(secretKeyHex);
-      return getPublicKey(secretKey);
-    } catch (e) {
-      console.error('Failed to derive pubkey from secret key:', e);
-      return null;
-    }
+    return new LocalSigner(hexToBytes(secretKeyHex));
   }
 
   return null;
 }
+
+/**
+ * Get current user's public key
+ */
+export async function getCurrentUserPubkey() {
+  const signer = getSigner();
+  if (!signer) return null;
+
+  try {
+    return await signer.getPublicKey();
+  } catch (e) {
+    console.error('Failed to get pubkey from signer:', e);
+    return null;
+  }
+}
+
+/**
+ * Sign an event template with the current signer
+ */
+export async function signEvent(eventTemplate) {
+  const signer = getSigner();
+  if (!signer) throw new Error('Not logged in');
+  return await signer.signEvent(eventTemplate);
+}
@@ -0,0 +1,48 @@
+// NIP-04: Encrypted direct messages (legacy, superseded by NIP-17)
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { cbc } from '@noble/ciphers/aes';
+import { randomBytes } from '@noble/hashes/utils';
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+function base64Encode(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64Decode(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * The AES key is the raw x coordinate of the ECDH shared point
+ */
+function getSharedKey(secretKey, pubkeyHex) {
+  return secp256k1.getSharedSecret(secretKey, '02' + pubkeyHex).subarray(1, 33);
+}
+
+/**
+ * Encrypt a message as "<base64 ciphertext>?iv=<base64 iv>"
+ */
+export function encrypt(secretKey, pubkeyHex, plaintext) {
+  const iv = randomBytes(16);
+  const ciphertext = cbc(getSharedKey(secretKey, pubkeyHex), iv).encrypt(utf8Encoder.encode(plaintext));
+  return `${base64Encode(ciphertext)}?iv=${base64Encode(iv)}`;
+}
+
+/**
+ * Decrypt a "<base64 ciphertext>?iv=<base64 iv>" message
+ */
+export function decrypt(secretKey, pubkeyHex, payload) {
+  const [ciphertext, iv] = payload.split('?iv=');
+  if (!ciphertext || !iv) throw new Error('Invalid NIP-04 payload');
+
+  const plaintext = cbc(getSharedKey(secretKey, pubkeyHex), base64Decode(iv)).decrypt(base64Decode(ciphertext));
+  return utf8Decoder.decode(plaintext);
+}
@@ -0,0 +1,153 @@
+// NIP-05: Mapping Nostr keys to DNS-based internet identifiers
+
+import { decode } from './nip19.js';
+
+const CACHE_KEY = 'nostr_nip05_cache';
+const CACHE_TTL = 60 * 60 * 1000;
+const FAILURE_TTL = 5 * 60 * 1000;
+const FETCH_TIMEOUT = 5000;
+
+const NIP05_REGEX = /^(?:([\w.-]+)@)?([\w-]+(?:\.[\w-]+)+|localhost)(?::(\d+))?$/;
+
+// In-flight lookups, so a feed full of one author fetches once
+const lookups = new Map();
+
+/**
+ * Check if a string looks like a NIP-05 identifier
+ */
+export function isNip05(value) {
+  return typeof value === 'string' && NIP05_REGEX.test(value.trim().toLowerCase());
+}
+
+/**
+ * Split an identifier into { name, domain }. A bare domain means "_@domain".
+ */
+export function parseNip05(identifier) {
+  const match = identifier.trim().toLowerCase().match(NIP05_REGEX);
+  if (!match) throw new Error('Invalid NIP-05 identifier');
+
+  const [, name = '_', host, port] = match;
+  return { name, domain: port ? `${host}:${port}` : host };
+}
+
+/**
+ * Display form of an identifier: "_@example.com" is shown as "example.com"
+ */
+export function formatNip05(identifier) {
+  const { name, domain } = parseNip05(identifier);
+  return name === '_' ? domain : `${name}@${domain}`;
+}
+
+function loadCache() {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveCacheEntry(identifier, result) {
+  const cache = loadCache();
+  const now = Date.now();
+
+  // Drop expired entries while we're here
+  for (const [key, entry] of Object.entries(cache)) {
+    if (entry.expires < now) delete cache[key];
+  }
+
+  cache[identifier] = { result, expires: now + (result ? CACHE_TTL : FAILURE_TTL) };
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.error('Failed to cache NIP-05 result:', e);
+  }
+}
+
+/**
+ * Fetch and validate /.well-known/nostr.json for one identifier
+ */
+async function fetchProfile(name, domain, fetcher) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  try {
+    // Redirects must not be followed, or any server could vouch for a name
+    const response = await fetcher(
+      `https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`,
+      { redirect: 'error', signal: controller.signal }
+    );
+    if (!response.ok) return null;
+
+    const json = await response.json();
+    const pubkey = json?.names?.[name];
+    if (typeof pubkey !== 'string' || !/^[a-f0-9]{64}$/.test(pubkey)) return null;
+
+    const hints = json.relays?.[pubkey];
+    const relays = Array.isArray(hints) ? hints.filter(url => typeof url === 'string') : [];
+    return { pubkey, relays };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Look up the pubkey and relay hints for an identifier, using the cache.
+ * Resolves with { pubkey, relays } or null.
+ * options.fetch replaces the global fetch (e.g. to use a local test server);
+ * options.force skips the cache.
+ */
+export async function queryProfile(identifier, options = {}) {
+  const { name, domain } = parseNip05(identifier);
+  const key = `${name}@${domain}`;
+
+  if (!options.force) {
+    const cached = loadCache()[key];
+    if (cached && cached.expires > Date.now()) return cached.result;
+    if (lookups.has(key)) return lookups.get(key);
+  }
+
+  const fetcher = options.fetch || ((...args) => fetch(...args));
+  const lookup = fetchProfile(name, domain, fetcher)
+    .catch((e) => {
+      console.error(`NIP-05 lookup failed for ${key}:`, e);
+      return null;
+    })
+    .then((result) => {
+      saveCacheEntry(key, result);
+      lookups.delete(key);
+      return result;
+    });
+
+  lookups.set(key, lookup);
+  return lookup;
+}
+
+/**
+ * Check that the `nip05` from a pubkey's kind 0 really points back to it
+ */
+export async function verifyNip05(pubkey, identifier, options = {}) {
+  if (!isNip05(identifier)) return false;
+  const result = await queryProfile(identifier, options);
+  return result?.pubkey === pubkey;
+}
+
+/**
+ * Resolve anything a user may type for a person — hex pubkey, npub,
+ * nprofile or NIP-05 address — to { pubkey, relays }. Throws if it is none
+ * of those or the NIP-05 address doesn't resolve.
+ */
+export async function resolvePubkey(value, options = {}) {
+  const input = value.trim().replace(/^nostr:/i, '');
+  if (/^[a-f0-9]{64}$/.test(input)) return { pubkey: input, relays: [] };
+
+  if (isNip05(input)) {
+    const result = await queryProfile(input, options);
+    if (!result) throw new Error(`Could not resolve ${input}`);
+    return result;
+  }
+
+  const { type, data } = decode(input);
+  if (type === 'npub') return { pubkey: data, relays: [] };
+  if (type === 'nprofile') return data;
+  throw new Error(`Not a profile identifier: ${type}`);
+}
@@ -0,0 +1,49 @@
+// NIP-06: Basic key derivation from mnemonic seed phrase
+
+import { generateMnemonic as generateBip39Mnemonic, mnemonicToSeedSync, validateMnemonic as validateBip39Mnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { HDKey } from '@scure/bip32';
+
+/**
+ * Clean up a typed or pasted mnemonic: lowercase, single spaces
+ */
+export function normalizeMnemonic(mnemonic) {
+  return mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Generate a new English BIP-39 mnemonic (12 words by default, 24 with 256)
+ */
+export function generateMnemonic(strength = 128) {
+  return generateBip39Mnemonic(wordlist, strength);
+}
+
+/**
+ * Check a mnemonic's words and checksum
+ */
+export function validateMnemonic(mnemonic) {
+  return validateBip39Mnemonic(normalizeMnemonic(mnemonic), wordlist);
+}
+
+/**
+ * BIP-32 derivation path for an account index
+ */
+export function getDerivationPath(account = 0) {
+  if (!Number.isInteger(account) || account < 0 || account >= 2 ** 31) {
+    throw new Error('Invalid account index');
+  }
+  return `m/44'/1237'/${account}'/0/0`;
+}
+
+/**
+ * Derive the secret key for an account from a mnemonic and optional passphrase
+ */
+export function privateKeyFromMnemonic(mnemonic, passphrase = '', account = 0) {
+  const normalized = normalizeMnemonic(mnemonic);
+  if (!validateBip39Mnemonic(normalized, wordlist)) throw new Error('Invalid mnemonic');
+
+  const seed = mnemonicToSeedSync(normalized, passphrase);
+  const { privateKey } = HDKey.fromMasterSeed(seed).derive(getDerivationPath(account));
+  if (!privateKey) throw new Error('Could not derive private key');
+  return privateKey;
+}
@@ -0,0 +1,120 @@
+// NIP-09: Event deletion requests
+
+import { summarizePublishResults } from './relay.js';
+import { getEventAddress } from './store.js';
+
+export const DELETION_KIND = 5;
+
+/**
+ * Create a deletion request (kind 5) for our own `events`, with an `e` tag
+ * per event, an `a` tag for replaceable ones and a `k` tag per kind
+ */
+export function createDeletionRequest(events, reason = '') {
+  const tags = [];
+  const kinds = new Set();
+
+  for (const event of events) {
+    tags.push(['e', event.id]);
+    const address = getEventAddress(event);
+    if (address) tags.push(['a', address]);
+    kinds.add(event.kind);
+  }
+
+  for (const kind of kinds) {
+    tags.push(['k', kind.toString()]);
+  }
+
+  return {
+    kind: DELETION_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: reason,
+  };
+}
+
+/**
+ * Sign a deletion request for our `events` and publish it through
+ * `router`. Resolves with { deletion, summary }; rejects if it couldn't be
+ * signed.
+ */
+export async function deleteEvents(router, events, signEvent, reason = '') {
+  const deletion = await signEvent(createDeletionRequest(events, reason));
+  return { deletion, summary: summarizePublishResults(await router.publish(deletion)) };
+}
+
+/**
+ * Get the { ids, addresses } a deletion request targets. Addresses by other
+ * authors are dropped, since only an event's author can delete it.
+ */
+export function getDeletionTargets(deletion) {
+  if (deletion.kind !== DELETION_KIND) return { ids: [], addresses: [] };
+
+  const ids = deletion.tags
+    .filter(tag => tag[0] === 'e' && /^[a-f0-9]{64}$/.test(tag[1]))
+    .map(tag => tag[1]);
+  const addresses = deletion.tags
+    .filter(tag => tag[0] === 'a' && typeof tag[1] === 'string' && tag[1].split(':')[1] === deletion.pubkey)
+    .map(tag => tag[1]);
+
+  return { ids, addresses };
+}
+
+/**
+ * Deletion requests seen so far. A request only counts for events by its
+ * own author, which is checked when an event is looked up.
+ */
+export class DeletionIndex {
+  constructor() {
+    // Event id -> pubkeys that asked for it to be deleted
+    this.ids = new Map();
+    // Address -> newest deletion time; versions up to then are deleted
+    this.addresses = new Map();
+  }
+
+  /**
+   * Record a deletion request. Returns the ids it targets.
+   */
+  add(deletion) {
+    const { ids, addresses } = getDeletionTargets(deletion);
+
+    for (const id of ids) {
+      if (!this.ids.has(id)) this.ids.set(id, new Set());
+      this.ids.get(id).add(deletion.pubkey);
+    }
+
+    for (const address of addresses) {
+      this.addresses.set(address, Math.max(this.addresses.get(address) || 0, deletion.created_at));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Check if `event` was deleted by its author
+   */
+  isDeleted(event) {
+    if (event.kind === DELETION_KIND) return false;
+    if (this.ids.get(event.id)?.has(event.pubkey)) return true;
+
+    const address = getEventAddress(event);
+    return Boolean(address && this.addresses.has(address) && event.created_at <= this.addresses.get(address));
+  }
+}
+
+/**
+ * Fetch deletion requests for `events` from their authors' write relays
+ * into `deletions` (a DeletionIndex). Resolves at EOSE with the events that
+ * turned out to be deleted.
+ */
+export function fetchDeletions(router, events, deletions) {
+  if (events.length === 0) return Promise.resolve([]);
+
+  const authors = [...new Set(events.map(event => event.pubkey))];
+  const filter = { kinds: [DELETION_KIND], '#e': events.map(event => event.id) };
+
+  return new Promise(resolve => {
+    router.subscribeAuthors(authors, filter, (deletion) => deletions.add(deletion), () => {
+      resolve(events.filter(event => deletions.isDeleted(event)));
+    }, { closeOnEose: true, cacheFirst: true });
+  });
+}
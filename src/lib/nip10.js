@@ -1,5 +1,7 @@
 // NIP-10: Reply/Thread handling utilities
 
+import { getEventAddress, isParameterizedReplaceableKind } from './store.js';
+
 /**
  * Parse NIP-10 tags from an event to understand thread structure
  */
@@ -24,6 +26,7 @@ export function parseThread(event) {
         id: tag[1],
         relay: tag[2] || '',
         marker: tag[3] || '',
+        pubkey: tag[4] || '',
       };
 
       // Check for markers
@@ -42,10 +45,12 @@ export function parseThread(event) {
         continue;
       }
 
-      // Legacy positional markers (no explicit marker)
+      // Legacy positional markers (no explicit marker): the first e tag is
+      // the root and the last one the parent. We walk backwards, so the
+      // root is the last one seen.
       if (!maybeReply) {
         maybeReply = eventRef;
-      } else if (!maybeRoot) {
+      } else {
         maybeRoot = eventRef;
       }
 
@@ -73,27 +78,53 @@ export function parseThread(event) {
 }
 
 /**
- * Create reply tags for replying to an event
+ * Create reply tags for replying to an event. `relay` is a hint for where
+ * `event` can be found. Everyone in the thread is tagged: the parent's
+ * author and all the pubkeys the parent tags, except `ownPubkey`. A root
+ * that is addressable is tagged by address as well as by id.
  */
-export function createReplyTags(event, rootEventId = null, relay = '') {
+export function createReplyTags(event, rootEventId = null, relay = '', ownPubkey = null) {
   const tags = [];
 
-  // Add 'p' tag for the author of the event we're replying to
-  tags.push(['p', event.pubkey, relay]);
-
   // If this is a top-level reply (no root), this event becomes the root
-  if (!rootEventId) {
-    tags.push(['e', event.id, relay, 'root']);
-    tags.push(['e', event.id, relay, 'reply']);
+  if (!rootEventId || rootEventId === event.id) {
+    tags.push(['e', event.id, relay, 'root', event.pubkey]);
+    const address = getRootAddress(event);
+    if (address) tags.push(['a', address, relay, 'root']);
   } else {
-    // If replying in an existing thread
-    tags.push(['e', rootEventId, relay, 'root']);
-    tags.push(['e', event.id, relay, 'reply']);
+    // If replying in an existing thread, keep the parent's hints for the root
+    const root = parseThread(event).root;
+    const rootRef = root && root.id === rootEventId ? root : { relay: '', pubkey: '' };
+    tags.push(['e', rootEventId, rootRef.relay, 'root', rootRef.pubkey]);
+    const rootAddress = event.tags.find(isRootAddressTag);
+    if (rootAddress) tags.push(['a', rootAddress[1], rootAddress[2] || '', 'root']);
+    tags.push(['e', event.id, relay, 'reply', event.pubkey]);
+  }
+
+  // 'p' tags for the parent's author first, then everyone it tagged
+  const pubkeys = new Set([event.pubkey, ...getMentionedPubkeys(event)]);
+  pubkeys.delete(ownPubkey);
+  for (const pubkey of pubkeys) {
+    tags.push(['p', pubkey, pubkey === event.pubkey ? relay : '']);
   }
 
   return tags;
 }
 
+function isRootAddressTag(tag) {
+  return tag[0] === 'a' && typeof tag[1] === 'string' && tag[1] !== '' && tag[3] === 'root';
+}
+
+/**
+ * Get the address of a thread's root when it is an addressable event, such
+ * as a long-form article: the event's own address, or the one its `a` root
+ * tag points to. Null otherwise.
+ */
+export function getRootAddress(event) {
+  if (isParameterizedReplaceableKind(event.kind)) return getEventAddress(event);
+  return event.tags.find(isRootAddressTag)?.[1] || null;
+}
+
 /**
  * Extract all mentioned pubkeys from an event's tags
  */
@@ -137,32 +168,60 @@ export function getReplyToEventId(event) {
 }
 
 /**
- * Build a thread tree from a flat list of events
+ * Build a thread tree from a flat list of events. Each node is
+ * { id, event, children } with children oldest first. Parents that are
+ * referenced but not in `events` get placeholder nodes (event: null), hung
+ * under the thread root when it is known, so missing ancestors keep their
+ * place in the tree. Links that would make a loop are left out.
  */
 export function buildThreadTree(events) {
   const eventMap = new Map();
   const roots = [];
 
+  const getNode = (id) => {
+    if (!eventMap.has(id)) eventMap.set(id, { id, event: null, children: [] });
+    return eventMap.get(id);
+  };
+
   // First pass: create map of all events
   for (const event of events) {
-    eventMap.set(event.id, {
-      event,
-      children: [],
-    });
+    getNode(event.id).event = event;
   }
 
-  // Second pass: build parent-child relationships
+  // Second pass: link each event to its parent, creating placeholders
+  const parents = new Map();
+  const missingParents = [];
   for (const event of events) {
-    const replyToId = getReplyToEventId(event);
-
-    if (!replyToId || !eventMap.has(replyToId)) {
-      // This is a root event
-      roots.push(eventMap.get(event.id));
-    } else {
-      // This is a reply, add as child
-      const parent = eventMap.get(replyToId);
-      parent.children.push(eventMap.get(event.id));
+    const thread = parseThread(event);
+    const replyToId = thread.reply?.id;
+    if (!replyToId || replyToId === event.id) continue;
+
+    parents.set(event.id, replyToId);
+    getNode(replyToId).children.push(getNode(event.id));
+    if (!eventMap.get(replyToId).event) missingParents.push([replyToId, thread.root?.id]);
+  }
+
+  // Check if `ancestorId` is `id` or above it in the tree
+  const isAncestor = (ancestorId, id) => {
+    const visited = new Set();
+    for (let current = id; current && !visited.has(current); current = parents.get(current)) {
+      if (current === ancestorId) return true;
+      visited.add(current);
     }
+    return false;
+  };
+
+  // Third pass, once every real link is known: a missing parent sits under
+  // the root, unless that would put it below itself
+  for (const [parentId, rootId] of missingParents) {
+    if (!rootId || parents.has(parentId) || isAncestor(parentId, rootId)) continue;
+    parents.set(parentId, rootId);
+    getNode(rootId).children.push(getNode(parentId));
+  }
+
+  for (const node of eventMap.values()) {
+    if (!parents.has(node.id)) roots.push(node);
+    node.children.sort((a, b) => (a.event?.created_at || 0) - (b.event?.created_at || 0));
   }
 
   return { roots, eventMap };
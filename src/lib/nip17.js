@@ -0,0 +1,176 @@
+// NIP-17: Private direct messages
+//
+// Messages are kind 14 rumors, gift-wrapped (NIP-59) once per recipient and
+// once for the sender, and delivered to each user's kind 10050 DM relays.
+
+import { createRumor, wrapEvent, unwrapEvent, GIFT_WRAP_KIND } from './nip59.js';
+import { cleanRelayURL } from './outbox.js';
+
+export const DM_KIND = 14;
+export const DM_RELAYS_KIND = 10050;
+export const LEGACY_DM_KIND = 4;
+
+/**
+ * Create a kind 10050 (DM relays) event template
+ */
+export function createDMRelayListEvent(relays) {
+  return {
+    kind: DM_RELAYS_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: relays.map(url => ['relay', url]),
+    content: '',
+  };
+}
+
+/**
+ * Parse a kind 10050 event into relay URLs
+ */
+export function parseDMRelayList(event) {
+  if (event.kind !== DM_RELAYS_KIND) return [];
+
+  const relays = event.tags
+    .filter(tag => tag[0] === 'relay' && tag[1])
+    .map(tag => cleanRelayURL(tag[1]))
+    .filter(Boolean);
+  return [...new Set(relays)];
+}
+
+/**
+ * Create a kind 14 message template for `recipients`
+ */
+export function createDirectMessage(content, recipients, options = {}) {
+  const tags = recipients.map(pubkey => ['p', pubkey]);
+  if (options.replyTo) tags.push(['e', options.replyTo]);
+  if (options.subject) tags.push(['subject', options.subject]);
+
+  return {
+    kind: DM_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content,
+  };
+}
+
+/**
+ * Everyone taking part in a message: the author and all `p` tags, sorted
+ */
+export function getParticipants(message) {
+  const pubkeys = message.tags.filter(tag => tag[0] === 'p' && tag[1]).map(tag => tag[1]);
+  return [...new Set([message.pubkey, ...pubkeys])].sort();
+}
+
+/**
+ * A conversation is identified by its set of participants
+ */
+export function getConversationId(message) {
+  return getParticipants(message).join(',');
+}
+
+/**
+ * Group decrypted messages into conversations, newest conversation first.
+ * Each conversation lists its other participants and messages oldest first.
+ */
+export function groupConversations(messages, myPubkey) {
+  const conversations = new Map();
+
+  for (const message of messages) {
+    const id = getConversationId(message);
+    if (!conversations.has(id)) {
+      const others = getParticipants(message).filter(pubkey => pubkey !== myPubkey);
+      conversations.set(id, { id, participants: others.length > 0 ? others : [myPubkey], messages: [] });
+    }
+    conversations.get(id).messages.push(message);
+  }
+
+  for (const conversation of conversations.values()) {
+    conversation.messages.sort((a, b) => a.created_at - b.created_at || a.id.localeCompare(b.id));
+    conversation.lastAt = conversation.messages[conversation.messages.length - 1].created_at;
+  }
+
+  return [...conversations.values()].sort((a, b) => b.lastAt - a.lastAt);
+}
+
+/**
+ * Look up the DM relays of many users from their outbox relays.
+ * Resolves with a Map of pubkey -> relay URLs for users that have a list.
+ */
+export async function fetchDMRelays(router, pubkeys) {
+  const events = await router.queryAuthors(pubkeys, { kinds: [DM_RELAYS_KIND] }, { cacheFirst: true });
+
+  const newest = new Map();
+  for (const event of events) {
+    const current = newest.get(event.pubkey);
+    if (!current || event.created_at > current.created_at) newest.set(event.pubkey, event);
+  }
+
+  const result = new Map();
+  for (const [pubkey, event] of newest) {
+    const relays = parseDMRelayList(event);
+    if (relays.length > 0) result.set(pubkey, relays);
+  }
+  return result;
+}
+
+/**
+ * Send a message to `recipients`. Every recipient must have DM relays; our
+ * own copy falls back to our read relays. Resolves with the rumor and the
+ * pool's publish results per recipient.
+ */
+export async function sendDirectMessage(router, signer, recipients, content, options = {}) {
+  const myPubkey = await signer.getPublicKey();
+  const others = [...new Set(recipients)].filter(pubkey => pubkey !== myPubkey);
+  const dmRelays = await fetchDMRelays(router, [...others, myPubkey]);
+
+  const missing = others.filter(pubkey => !dmRelays.has(pubkey));
+  if (missing.length > 0) {
+    throw new Error(`No DM relays (kind ${DM_RELAYS_KIND}) published by ${missing.join(', ')}`);
+  }
+
+  const rumor = createRumor(createDirectMessage(content, others, options), myPubkey);
+  const deliveries = [];
+
+  for (const pubkey of [...others, myPubkey]) {
+    const wrap = await wrapEvent(rumor, signer, pubkey);
+    const relays = dmRelays.get(pubkey) || router.getOwnReadRelays();
+    deliveries.push(
+      router.pool.publish(wrap, { relays }).then(results => ({ pubkey, results }))
+    );
+  }
+
+  return { rumor, deliveries: await Promise.all(deliveries) };
+}
+
+/**
+ * Open a gift wrap and return the kind 14 message inside, or null if it
+ * holds something else
+ */
+export async function unwrapDirectMessage(wrap, signer) {
+  const rumor = await unwrapEvent(wrap, signer);
+  return rumor.kind === DM_KIND ? rumor : null;
+}
+
+/**
+ * Decrypt a legacy kind 4 message sent by or to `myPubkey`
+ */
+export async function decryptLegacyMessage(event, signer, myPubkey) {
+  const recipient = event.tags.find(tag => tag[0] === 'p')?.[1];
+  const counterparty = event.pubkey === myPubkey ? recipient : event.pubkey;
+  if (!counterparty) throw new Error('Legacy message has no recipient');
+
+  const content = await signer.nip04Decrypt(counterparty, event.content);
+  return { ...event, content, legacy: true };
+}
+
+/**
+ * Filters for everything addressed to or sent by `pubkey`
+ */
+export function getInboxFilters(pubkey, options = {}) {
+  const limit = options.limit || 200;
+  return {
+    wraps: [{ kinds: [GIFT_WRAP_KIND], '#p': [pubkey], limit }],
+    legacy: [
+      { kinds: [LEGACY_DM_KIND], '#p': [pubkey], limit },
+      { kinds: [LEGACY_DM_KIND], authors: [pubkey], limit },
+    ],
+  };
+}
@@ -0,0 +1,93 @@
+// NIP-18: Reposts and quote posts
+
+import { createTextNote, verifyEvent } from './events.js';
+import { neventEncode } from './nip19.js';
+
+export const REPOST_KIND = 6;
+export const GENERIC_REPOST_KIND = 16;
+
+function isAddressable(kind) {
+  return kind >= 30000 && kind < 40000;
+}
+
+function getCoordinate(event) {
+  const d = event.tags.find(tag => tag[0] === 'd')?.[1] || '';
+  return `${event.kind}:${event.pubkey}:${d}`;
+}
+
+/**
+ * Create a repost of `event`: kind 6 for text notes, kind 16 (with a `k`
+ * tag) for anything else. `relay` is where the original can be found.
+ */
+export function createRepost(event, relay = '') {
+  const kind = event.kind === 1 ? REPOST_KIND : GENERIC_REPOST_KIND;
+  const tags = [
+    ['e', event.id, relay],
+    ['p', event.pubkey, relay],
+  ];
+
+  if (kind === GENERIC_REPOST_KIND) {
+    tags.push(['k', event.kind.toString()]);
+  }
+
+  if (isAddressable(event.kind)) {
+    tags.push(['a', getCoordinate(event), relay]);
+  }
+
+  // NIP-70 protected events must not be copied to other relays
+  const isProtected = event.tags.some(tag => tag[0] === '-');
+
+  return {
+    kind,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: isProtected ? '' : JSON.stringify(event),
+  };
+}
+
+/**
+ * Parse a repost (kind 6 or 16) into { eventId, relay, author, kind, event }.
+ * `event` is the embedded original, or null if it is missing or doesn't
+ * match the `e` tag or its signature. Returns null for malformed reposts.
+ */
+export function parseRepost(repost) {
+  if (repost.kind !== REPOST_KIND && repost.kind !== GENERIC_REPOST_KIND) return null;
+
+  const eTag = repost.tags.find(tag => tag[0] === 'e' && /^[a-f0-9]{64}$/.test(tag[1]));
+  if (!eTag) return null;
+
+  const pTag = repost.tags.find(tag => tag[0] === 'p' && /^[a-f0-9]{64}$/.test(tag[1]));
+  const kTag = repost.tags.find(tag => tag[0] === 'k');
+
+  let event = null;
+  if (repost.content) {
+    try {
+      const embedded = JSON.parse(repost.content);
+      if (embedded.id === eTag[1] && verifyEvent(embedded)) event = embedded;
+    } catch (e) {
+      event = null;
+    }
+  }
+
+  return {
+    eventId: eTag[1],
+    relay: eTag[2] || null,
+    author: event?.pubkey || pTag?.[1] || null,
+    kind: event?.kind ?? (kTag ? Number(kTag[1]) : (repost.kind === REPOST_KIND ? 1 : null)),
+    event,
+  };
+}
+
+/**
+ * Create a text note quoting `event`: `content` followed by a nostr:nevent
+ * link, with a `q` tag so clients can find quotes of the note
+ */
+export function createQuotePost(content, event, relay = '') {
+  const nevent = neventEncode({ id: event.id, relays: relay ? [relay] : [], author: event.pubkey, kind: event.kind });
+  const text = content.trim() ? `${content.trim()}\n\nnostr:${nevent}` : `nostr:${nevent}`;
+
+  return createTextNote(text, [
+    ['q', event.id, relay, event.pubkey],
+    ['p', event.pubkey],
+  ]);
+}
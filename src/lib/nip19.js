@@ -2,6 +2,17 @@
 
 const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
 
+// Plain bech32 stops at 90 characters; TLV entities with relay hints are longer
+const BECH32_MAX_LENGTH = 5000;
+
+const TLV_SPECIAL = 0;
+const TLV_RELAY = 1;
+const TLV_AUTHOR = 2;
+const TLV_KIND = 3;
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
 function bech32Encode(prefix, data) {
   const combined = convertBits(data, 8, 5, true);
   const checksum = createChecksum(prefix, combined);
@@ -10,8 +21,21 @@ function bech32Encode(prefix, data) {
 }
 
 function bech32Decode(str) {
+  const { prefix, words } = bech32DecodeWords(str);
+  return { prefix, data: convertBits(words, 5, 8, false) };
+}
+
+/**
+ * Decode a bech32 string to its prefix and raw 5-bit words, checksum
+ * verified. Formats like BOLT-11 invoices pack fields at 5-bit boundaries.
+ */
+export function bech32DecodeWords(str) {
+  if (str.length > BECH32_MAX_LENGTH) throw new Error('Bech32 string too long');
+  if (str !== str.toLowerCase() && str !== str.toUpperCase()) throw new Error('Mixed-case bech32 string');
+  str = str.toLowerCase();
+
   const pos = str.lastIndexOf('1');
-  if (pos < 1) throw new Error('Invalid bech32 string');
+  if (pos < 1 || str.length - pos - 1 < 6) throw new Error('Invalid bech32 string');
 
   const prefix = str.slice(0, pos);
   const data = str.slice(pos + 1);
@@ -23,15 +47,23 @@ function bech32Decode(str) {
     decoded.push(v);
   }
 
-  const payload = decoded.slice(0, -6);
+  const words = decoded.slice(0, -6);
   const checksum = decoded.slice(-6);
 
-  const expectedChecksum = createChecksum(prefix, payload);
+  const expectedChecksum = createChecksum(prefix, words);
   if (checksum.join('') !== expectedChecksum.join('')) {
     throw new Error('Invalid checksum');
   }
 
-  return { prefix, data: convertBits(payload, 5, 8, false) };
+  return { prefix, words };
+}
+
+/**
+ * Pack 5-bit words into bytes. Without `pad`, leftover bits must be zero
+ * padding; with it, the last partial byte is zero-filled and kept.
+ */
+export function wordsToBytes(words, pad = false) {
+  return new Uint8Array(convertBits(words, 5, 8, pad));
 }
 
 function convertBits(data, fromBits, toBits, pad) {
@@ -113,6 +145,77 @@ function bytesToHex(bytes) {
   return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+function assertHex32(hex, name) {
+  if (typeof hex !== 'string' || !/^[a-f0-9]{64}$/.test(hex)) throw new Error(`Invalid ${name}`);
+}
+
+/**
+ * Serialize TLV entries: [[type, bytes], ...]
+ */
+function encodeTLV(entries) {
+  const result = [];
+  for (const [type, value] of entries) {
+    if (value.length > 255) throw new Error('TLV value too long');
+    result.push(type, value.length, ...value);
+  }
+  return result;
+}
+
+/**
+ * Parse TLV bytes into a Map of type -> [values], rejecting truncated
+ * entries. Types not in `allowed` are skipped, as NIP-19 asks.
+ */
+function decodeTLV(data, allowed) {
+  const tlv = new Map();
+  let i = 0;
+
+  while (i < data.length) {
+    if (i + 2 > data.length) throw new Error('Truncated TLV');
+    const type = data[i];
+    const length = data[i + 1];
+    const value = data.slice(i + 2, i + 2 + length);
+    if (value.length !== length) throw new Error('Truncated TLV');
+    i += 2 + length;
+    if (!allowed.includes(type)) continue;
+
+    if (!tlv.has(type)) tlv.set(type, []);
+    tlv.get(type).push(value);
+  }
+
+  return tlv;
+}
+
+/**
+ * Get the single value of a TLV type, checking its length
+ */
+function getSingleTLV(tlv, type, length, required) {
+  const values = tlv.get(type) || [];
+  if (values.length > 1) throw new Error(`Duplicate TLV type ${type}`);
+  if (values.length === 0) {
+    if (required) throw new Error(`Missing TLV type ${type}`);
+    return null;
+  }
+  if (length !== null && values[0].length !== length) throw new Error(`Invalid length for TLV type ${type}`);
+  return values[0];
+}
+
+function getRelaysTLV(tlv) {
+  return (tlv.get(TLV_RELAY) || []).map(value => utf8Decoder.decode(new Uint8Array(value)));
+}
+
+function kindToBytes(kind) {
+  if (!Number.isInteger(kind) || kind < 0 || kind > 0xffffffff) throw new Error('Invalid kind');
+  return [(kind >>> 24) & 0xff, (kind >>> 16) & 0xff, (kind >>> 8) & 0xff, kind & 0xff];
+}
+
+function bytesToKind(bytes) {
+  return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+}
+
+function relayEntries(relays = []) {
+  return relays.map(url => [TLV_RELAY, [...utf8Encoder.encode(url)]]);
+}
+
 /**
  * Encode public key to npub
  */
@@ -163,3 +266,154 @@ export function noteDecode(note) {
   if (prefix !== 'note') throw new Error('Invalid note');
   return bytesToHex(data);
 }
+
+/**
+ * Encode a NIP-49 encrypted private key payload (hex) to ncryptsec
+ */
+export function ncryptsecEncode(payloadHex) {
+  const bytes = hexToBytes(payloadHex);
+  return bech32Encode('ncryptsec', bytes);
+}
+
+/**
+ * Decode ncryptsec to the NIP-49 encrypted private key payload hex
+ */
+export function ncryptsecDecode(ncryptsec) {
+  const { prefix, data } = bech32Decode(ncryptsec);
+  if (prefix !== 'ncryptsec') throw new Error('Invalid ncryptsec');
+  return bytesToHex(data);
+}
+
+/**
+ * Encode a URL as a bech32 LNURL (LUD-01), as found in lud06
+ */
+export function lnurlEncode(url) {
+  return bech32Encode('lnurl', Array.from(utf8Encoder.encode(url)));
+}
+
+/**
+ * Decode a bech32 LNURL (LUD-01) to its URL
+ */
+export function lnurlDecode(lnurl) {
+  const { prefix, data } = bech32Decode(lnurl.replace(/^lightning:/i, ''));
+  if (prefix !== 'lnurl') throw new Error('Invalid lnurl');
+  return utf8Decoder.decode(new Uint8Array(data));
+}
+
+/**
+ * Encode a profile pointer (pubkey plus relay hints) to nprofile
+ */
+export function nprofileEncode({ pubkey, relays = [] }) {
+  assertHex32(pubkey, 'pubkey');
+  return bech32Encode('nprofile', encodeTLV([
+    [TLV_SPECIAL, hexToBytes(pubkey)],
+    ...relayEntries(relays),
+  ]));
+}
+
+/**
+ * Decode nprofile to { pubkey, relays }
+ */
+export function nprofileDecode(nprofile) {
+  const { prefix, data } = bech32Decode(nprofile);
+  if (prefix !== 'nprofile') throw new Error('Invalid nprofile');
+
+  const tlv = decodeTLV(data, [TLV_SPECIAL, TLV_RELAY]);
+  return {
+    pubkey: bytesToHex(getSingleTLV(tlv, TLV_SPECIAL, 32, true)),
+    relays: getRelaysTLV(tlv),
+  };
+}
+
+/**
+ * Encode an event pointer (id plus optional relay hints, author and kind) to nevent
+ */
+export function neventEncode({ id, relays = [], author = null, kind = null }) {
+  assertHex32(id, 'event id');
+  const entries = [[TLV_SPECIAL, hexToBytes(id)], ...relayEntries(relays)];
+  if (author) {
+    assertHex32(author, 'author');
+    entries.push([TLV_AUTHOR, hexToBytes(author)]);
+  }
+  if (kind !== null && kind !== undefined) entries.push([TLV_KIND, kindToBytes(kind)]);
+  return bech32Encode('nevent', encodeTLV(entries));
+}
+
+/**
+ * Decode nevent to { id, relays, author, kind } (author and kind may be null)
+ */
+export function neventDecode(nevent) {
+  const { prefix, data } = bech32Decode(nevent);
+  if (prefix !== 'nevent') throw new Error('Invalid nevent');
+
+  const tlv = decodeTLV(data, [TLV_SPECIAL, TLV_RELAY, TLV_AUTHOR, TLV_KIND]);
+  const author = getSingleTLV(tlv, TLV_AUTHOR, 32, false);
+  const kind = getSingleTLV(tlv, TLV_KIND, 4, false);
+  return {
+    id: bytesToHex(getSingleTLV(tlv, TLV_SPECIAL, 32, true)),
+    relays: getRelaysTLV(tlv),
+    author: author ? bytesToHex(author) : null,
+    kind: kind ? bytesToKind(kind) : null,
+  };
+}
+
+/**
+ * Encode an addressable event pointer (kind, pubkey, d-tag identifier,
+ * relay hints) to naddr
+ */
+export function naddrEncode({ identifier, pubkey, kind, relays = [] }) {
+  assertHex32(pubkey, 'pubkey');
+  if (typeof identifier !== 'string') throw new Error('Invalid identifier');
+  return bech32Encode('naddr', encodeTLV([
+    [TLV_SPECIAL, [...utf8Encoder.encode(identifier)]],
+    ...relayEntries(relays),
+    [TLV_AUTHOR, hexToBytes(pubkey)],
+    [TLV_KIND, kindToBytes(kind)],
+  ]));
+}
+
+/**
+ * Decode naddr to { identifier, pubkey, kind, relays }
+ */
+export function naddrDecode(naddr) {
+  const { prefix, data } = bech32Decode(naddr);
+  if (prefix !== 'naddr') throw new Error('Invalid naddr');
+
+  const tlv = decodeTLV(data, [TLV_SPECIAL, TLV_RELAY, TLV_AUTHOR, TLV_KIND]);
+  return {
+    identifier: utf8Decoder.decode(new Uint8Array(getSingleTLV(tlv, TLV_SPECIAL, null, true))),
+    pubkey: bytesToHex(getSingleTLV(tlv, TLV_AUTHOR, 32, true)),
+    kind: bytesToKind(getSingleTLV(tlv, TLV_KIND, 4, true)),
+    relays: getRelaysTLV(tlv),
+  };
+}
+
+const DECODERS = {
+  npub: npubDecode,
+  nsec: nsecDecode,
+  note: noteDecode,
+  nprofile: nprofileDecode,
+  nevent: neventDecode,
+  naddr: naddrDecode,
+  ncryptsec: ncryptsecDecode,
+};
+
+const FIXED_LENGTH = { npub: 32, nsec: 32, note: 32, ncryptsec: 91 };
+
+/**
+ * Decode any NIP-19 entity (a `nostr:` URI prefix is allowed).
+ * Returns { type, data } where data is hex for npub/nsec/note/ncryptsec
+ * and an object for nprofile/nevent/naddr.
+ */
+export function decode(str) {
+  const value = str.trim().replace(/^nostr:/i, '');
+  const { prefix, data } = bech32Decode(value);
+
+  const decoder = DECODERS[prefix];
+  if (!decoder) throw new Error(`Unknown NIP-19 prefix ${prefix}`);
+  if (FIXED_LENGTH[prefix] && data.length !== FIXED_LENGTH[prefix]) {
+    throw new Error(`Invalid ${prefix} length`);
+  }
+
+  return { type: prefix, data: decoder(value) };
+}
@@ -0,0 +1,150 @@
+// NIP-25: Reactions (with NIP-30 custom emoji)
+
+export const REACTION_KIND = 7;
+
+export const LIKE = '+';
+export const DISLIKE = '-';
+
+// Relays cap filter sizes; ask for reactions to at most this many notes per filter
+const MAX_IDS_PER_FILTER = 100;
+
+const SHORTCODE_REGEX = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Create a reaction (kind 7) to `event`. `content` is '+' (like), '-'
+ * (dislike), a unicode emoji, or ':shortcode:' for a custom emoji, in which
+ * case options.emoji is { shortcode, url }. options.relay is a hint for
+ * where `event` can be found.
+ */
+export function createReaction(event, content = LIKE, options = {}) {
+  const relay = options.relay || '';
+  const tags = [
+    ['e', event.id, relay, event.pubkey],
+    ['p', event.pubkey, relay],
+    ['k', event.kind.toString()],
+  ];
+
+  // Addressable events are also referenced by their coordinate
+  if (event.kind >= 30000 && event.kind < 40000) {
+    const d = event.tags.find(tag => tag[0] === 'd')?.[1] || '';
+    tags.push(['a', `${event.kind}:${event.pubkey}:${d}`, relay]);
+  }
+
+  if (options.emoji) {
+    const { shortcode, url } = options.emoji;
+    if (!SHORTCODE_REGEX.test(shortcode)) throw new Error('Invalid emoji shortcode');
+    if (content !== `:${shortcode}:`) throw new Error('Content must be the emoji shortcode');
+    tags.push(['emoji', shortcode, url]);
+  }
+
+  return {
+    kind: REACTION_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content,
+  };
+}
+
+/**
+ * Parse a reaction into { eventId, pubkey, content, type, emoji }.
+ * type is 'like', 'dislike', 'emoji' or 'custom' (emoji is then
+ * { shortcode, url }). Returns null if it doesn't point at an event.
+ */
+export function parseReaction(reaction) {
+  if (reaction.kind !== REACTION_KIND) return null;
+
+  // The last e tag is the note being reacted to
+  const eTags = reaction.tags.filter(tag => tag[0] === 'e' && /^[a-f0-9]{64}$/.test(tag[1]));
+  if (eTags.length === 0) return null;
+  const eventId = eTags[eTags.length - 1][1];
+
+  // An empty reaction counts as a like
+  const content = reaction.content.trim() || LIKE;
+  let type = 'emoji';
+  let emoji = null;
+
+  if (content === LIKE) {
+    type = 'like';
+  } else if (content === DISLIKE) {
+    type = 'dislike';
+  } else {
+    const shortcode = content.match(/^:([a-zA-Z0-9_-]+):$/)?.[1];
+    const tag = shortcode && reaction.tags.find(t => t[0] === 'emoji' && t[1] === shortcode);
+    if (tag && /^https:\/\//.test(tag[2])) {
+      type = 'custom';
+      emoji = { shortcode, url: tag[2] };
+    }
+  }
+
+  return { eventId, pubkey: reaction.pubkey, content, type, emoji };
+}
+
+/**
+ * Filters for reactions to a set of notes, split to keep each filter small
+ */
+export function getReactionFilters(eventIds) {
+  const filters = [];
+  for (let i = 0; i < eventIds.length; i += MAX_IDS_PER_FILTER) {
+    filters.push({ kinds: [REACTION_KIND], '#e': eventIds.slice(i, i + MAX_IDS_PER_FILTER) });
+  }
+  return filters;
+}
+
+/**
+ * Running reaction counts per note. Each author counts once per reaction
+ * content, and reactions by `ownPubkey` are remembered so they can be
+ * highlighted.
+ */
+export class ReactionTally {
+  constructor(ownPubkey = null) {
+    this.ownPubkey = ownPubkey;
+    this.notes = new Map();
+  }
+
+  /**
+   * Count a reaction. Returns the id of the note it is for, or null if it
+   * was ignored (malformed or already counted).
+   */
+  add(reaction) {
+    const parsed = parseReaction(reaction);
+    if (!parsed) return null;
+
+    let note = this.notes.get(parsed.eventId);
+    if (!note) {
+      note = { seen: new Set(), counts: new Map(), own: new Set() };
+      this.notes.set(parsed.eventId, note);
+    }
+
+    const key = `${parsed.pubkey}:${parsed.content}`;
+    if (note.seen.has(key)) return null;
+    note.seen.add(key);
+
+    const entry = note.counts.get(parsed.content) || { ...parsed, count: 0 };
+    entry.count++;
+    note.counts.set(parsed.content, entry);
+
+    if (parsed.pubkey === this.ownPubkey) note.own.add(parsed.content);
+    return parsed.eventId;
+  }
+
+  /**
+   * Summary for one note: { likes, dislikes, reactions, own } where
+   * reactions lists { content, type, emoji, count } by count, likes first,
+   * and own is the set of contents we reacted with
+   */
+  get(eventId) {
+    const note = this.notes.get(eventId);
+    if (!note) return { likes: 0, dislikes: 0, reactions: [], own: new Set() };
+
+    const reactions = [...note.counts.values()]
+      .map(({ content, type, emoji, count }) => ({ content, type, emoji, count }))
+      .sort((a, b) => (b.type === 'like') - (a.type === 'like') || b.count - a.count);
+
+    return {
+      likes: note.counts.get(LIKE)?.count || 0,
+      dislikes: note.counts.get(DISLIKE)?.count || 0,
+      reactions,
+      own: note.own,
+    };
+  }
+}
@@ -0,0 +1,58 @@
+// NIP-42: Authentication of clients to relays
+
+const AUTH_POLICIES_KEY = 'nostr_relay_auth_policies';
+
+/**
+ * How auth challenges are answered:
+ * - auto: sign and send as soon as the relay asks
+ * - ask: ask the user the first time the relay requires it
+ * - never: never authenticate to this relay
+ */
+export const AUTH_POLICIES = ['auto', 'ask', 'never'];
+
+const DEFAULT_AUTH_POLICY = 'ask';
+
+/**
+ * Create a kind 22242 (client authentication) event template
+ */
+export function createAuthEvent(relayUrl, challenge) {
+  return {
+    kind: 22242,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [
+      ['relay', relayUrl],
+      ['challenge', challenge],
+    ],
+    content: '',
+  };
+}
+
+function loadAuthPolicies() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_POLICIES_KEY)) || {};
+  } catch (e) {
+    console.error('Failed to parse stored auth policies:', e);
+    return {};
+  }
+}
+
+/**
+ * Get the auth policy for a (normalized) relay URL
+ */
+export function getAuthPolicy(relayUrl) {
+  if (typeof localStorage === 'undefined') return DEFAULT_AUTH_POLICY;
+  return loadAuthPolicies()[relayUrl] || DEFAULT_AUTH_POLICY;
+}
+
+/**
+ * Store the auth policy for a (normalized) relay URL
+ */
+export function setAuthPolicy(relayUrl, policy) {
+  if (!AUTH_POLICIES.includes(policy)) {
+    throw new Error(`Invalid auth policy: ${policy}`);
+  }
+
+  const policies = loadAuthPolicies();
+  policies[relayUrl] = policy;
+  localStorage.setItem(AUTH_POLICIES_KEY, JSON.stringify(policies));
+}
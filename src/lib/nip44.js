@@ -0,0 +1,137 @@
+// NIP-44: Versioned encrypted payloads (version 2)
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { chacha20 } from '@noble/ciphers/chacha';
+import { equalBytes } from '@noble/ciphers/utils';
+import { extract as hkdfExtract, expand as hkdfExpand } from '@noble/hashes/hkdf';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha256';
+import { concatBytes, randomBytes } from '@noble/hashes/utils';
+
+const VERSION = 2;
+const MIN_PLAINTEXT_SIZE = 1;
+const MAX_PLAINTEXT_SIZE = 65535;
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+function base64Encode(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64Decode(str) {
+  let binary;
+  try {
+    binary = atob(str);
+  } catch (e) {
+    throw new Error('Invalid base64');
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Derive the conversation key shared by a secret key and a public key
+ */
+export function getConversationKey(secretKey, pubkeyHex) {
+  const sharedX = secp256k1.getSharedSecret(secretKey, '02' + pubkeyHex).subarray(1, 33);
+  return hkdfExtract(sha256, sharedX, utf8Encoder.encode('nip44-v2'));
+}
+
+/**
+ * Derive the per-message keys from the conversation key and nonce
+ */
+function getMessageKeys(conversationKey, nonce) {
+  const keys = hkdfExpand(sha256, conversationKey, nonce, 76);
+  return {
+    chachaKey: keys.subarray(0, 32),
+    chachaNonce: keys.subarray(32, 44),
+    hmacKey: keys.subarray(44, 76),
+  };
+}
+
+/**
+ * Calculate the padded length for a plaintext length
+ */
+export function calcPaddedLength(length) {
+  if (length <= 32) return 32;
+  const nextPower = 1 << (Math.floor(Math.log2(length - 1)) + 1);
+  const chunk = nextPower <= 256 ? 32 : nextPower / 8;
+  return chunk * (Math.floor((length - 1) / chunk) + 1);
+}
+
+function pad(plaintext) {
+  const unpadded = utf8Encoder.encode(plaintext);
+  const length = unpadded.length;
+  if (length < MIN_PLAINTEXT_SIZE || length > MAX_PLAINTEXT_SIZE) {
+    throw new Error('Invalid plaintext length');
+  }
+
+  const prefix = new Uint8Array([length >> 8, length & 0xff]);
+  const suffix = new Uint8Array(calcPaddedLength(length) - length);
+  return concatBytes(prefix, unpadded, suffix);
+}
+
+function unpad(padded) {
+  const length = (padded[0] << 8) | padded[1];
+  const unpadded = padded.subarray(2, 2 + length);
+  if (
+    length < MIN_PLAINTEXT_SIZE ||
+    unpadded.length !== length ||
+    padded.length !== 2 + calcPaddedLength(length)
+  ) {
+    throw new Error('Invalid padding');
+  }
+  return utf8Decoder.decode(unpadded);
+}
+
+function hmacAad(key, message, aad) {
+  return hmac(sha256, key, concatBytes(aad, message));
+}
+
+/**
+ * Encrypt a plaintext with a conversation key. `nonce` is only for tests.
+ */
+export function encrypt(plaintext, conversationKey, nonce = randomBytes(32)) {
+  const { chachaKey, chachaNonce, hmacKey } = getMessageKeys(conversationKey, nonce);
+  const ciphertext = chacha20(chachaKey, chachaNonce, pad(plaintext));
+  const mac = hmacAad(hmacKey, ciphertext, nonce);
+  return base64Encode(concatBytes(new Uint8Array([VERSION]), nonce, ciphertext, mac));
+}
+
+/**
+ * Split a payload into nonce, ciphertext and MAC, rejecting anything that
+ * can't be a valid version 2 payload before doing any crypto
+ */
+function decodePayload(payload) {
+  if (typeof payload !== 'string' || payload.length === 0) throw new Error('Empty payload');
+  // '#' marks a non-base64 encoding reserved for future versions
+  if (payload[0] === '#') throw new Error('Unknown encryption version');
+  if (payload.length < 132 || payload.length > 87472) throw new Error('Invalid payload length');
+
+  const data = base64Decode(payload);
+  if (data.length < 99 || data.length > 65603) throw new Error('Invalid data length');
+  if (data[0] !== VERSION) throw new Error(`Unknown encryption version ${data[0]}`);
+
+  return {
+    nonce: data.subarray(1, 33),
+    ciphertext: data.subarray(33, -32),
+    mac: data.subarray(-32),
+  };
+}
+
+/**
+ * Decrypt a payload with a conversation key
+ */
+export function decrypt(payload, conversationKey) {
+  const { nonce, ciphertext, mac } = decodePayload(payload);
+
+  const { chachaKey, chachaNonce, hmacKey } = getMessageKeys(conversationKey, nonce);
+  if (!equalBytes(hmacAad(hmacKey, ciphertext, nonce), mac)) {
+    throw new Error('Invalid MAC');
+  }
+
+  return unpad(chacha20(chachaKey, chachaNonce, ciphertext));
+}
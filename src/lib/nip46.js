@@ -0,0 +1,429 @@
+// NIP-46: Remote signing (Nostr Connect / bunker)
+
+import { schnorr } from '@noble/curves/secp256k1';
+import { bytesToHex, hexToBytes, randomBytes } from '@noble/hashes/utils';
+import { RelayPool } from './relay.js';
+import { finalizeEvent, verifyEvent } from './events.js';
+import * as nip04 from './nip04.js';
+import * as nip44 from './nip44.js';
+
+const KIND_NOSTR_CONNECT = 24133;
+const REQUEST_TIMEOUT = 30000;
+const AUTH_URL_TIMEOUT = 5 * 60 * 1000;
+const DEFAULT_RELAYS = ['wss://relay.nsec.app'];
+
+/**
+ * Permissions we ask remote signers for
+ */
+export const DEFAULT_PERMISSIONS = [
+  'get_public_key',
+  'sign_event',
+  'nip04_encrypt',
+  'nip04_decrypt',
+  'nip44_encrypt',
+  'nip44_decrypt',
+];
+
+/**
+ * Parse a bunker://<remote-signer-pubkey>?relay=...&secret=... URI
+ */
+export function parseBunkerURI(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (e) {
+    throw new Error('Invalid bunker URI');
+  }
+
+  if (url.protocol !== 'bunker:') throw new Error('Not a bunker:// URI');
+
+  // Depending on the URL parser the pubkey is the host or the pathname
+  const pubkey = (url.hostname || url.pathname.replace(/^\/+/, '')).toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(pubkey)) throw new Error('Invalid remote signer pubkey in bunker URI');
+
+  const relays = url.searchParams.getAll('relay');
+  if (relays.length === 0) throw new Error('Bunker URI has no relays');
+
+  return {
+    pubkey,
+    relays,
+    secret: url.searchParams.get('secret') || null,
+  };
+}
+
+/**
+ * Create a nostrconnect://<client-pubkey>?relay=...&secret=... URI for the
+ * user to paste into their remote signer
+ */
+export function createNostrConnectURI({ clientPubkey, relays, secret, perms = DEFAULT_PERMISSIONS, name = '', url = '' }) {
+  const params = new URLSearchParams();
+  for (const relay of relays) params.append('relay', relay);
+  params.set('secret', secret);
+  if (perms.length > 0) params.set('perms', perms.join(','));
+  if (name) params.set('name', name);
+  if (url) params.set('url', url);
+
+  return `nostrconnect://${clientPubkey}?${params.toString()}`;
+}
+
+/**
+ * Encrypt a kind 24133 message to `pubkey`
+ */
+function encryptMessage(secretKey, pubkey, plaintext) {
+  return nip44.encrypt(plaintext, nip44.getConversationKey(secretKey, pubkey));
+}
+
+/**
+ * Decrypt a kind 24133 message from `pubkey`. Remote signers that predate
+ * NIP-44 still answer with NIP-04.
+ */
+function decryptMessage(secretKey, pubkey, content) {
+  return content.includes('?iv=')
+    ? nip04.decrypt(secretKey, pubkey, content)
+    : nip44.decrypt(content, nip44.getConversationKey(secretKey, pubkey));
+}
+
+/**
+ * Check an auth URL from the remote signer before showing it. Returns the
+ * URL, or null unless it is http(s), so a signer can't hand us javascript:
+ */
+export function parseAuthUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Show auth URLs sent by the remote signer as a link at the top of the
+ * page. Opening a window ourselves doesn't work: this runs from a relay
+ * message, not a click, so browsers block the popup.
+ */
+function defaultOnAuthUrl(url) {
+  const href = parseAuthUrl(url);
+  if (!href) return console.error('Remote signer sent an invalid auth URL:', url);
+  if (typeof document === 'undefined') return console.log(`Remote signer asks you to open: ${href}`);
+
+  let notice = document.getElementById('authUrlNotice');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.id = 'authUrlNotice';
+    notice.className = 'auth-url-notice';
+    document.body.prepend(notice);
+  }
+
+  const link = document.createElement('a');
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = 'Open your remote signer to approve this request';
+  link.onclick = () => notice.remove();
+  notice.replaceChildren(link);
+}
+
+/**
+ * Signer that forwards every operation to a remote signer over kind 24133
+ * events encrypted with NIP-44. Implements the same interface as the
+ * signers in signer.js.
+ */
+export class BunkerSigner {
+  /**
+   * @param {object} options
+   * @param {Uint8Array} options.clientSecretKey - our throwaway keypair for this session
+   * @param {string} options.remotePubkey - the remote signer's pubkey
+   * @param {string[]} options.relays - relays the remote signer listens on
+   * @param {string} [options.secret] - connection secret from the bunker URI
+   * @param {string} [options.userPubkey] - the user's pubkey, if already known
+   * @param {RelayPool} [options.pool] - pool to use (one is created otherwise)
+   * @param {function} [options.onAuthUrl] - called with URLs the user must open
+   */
+  constructor({ clientSecretKey, remotePubkey, relays, secret = null, userPubkey = null, pool = null, onAuthUrl = defaultOnAuthUrl }) {
+    this.clientSecretKey = clientSecretKey;
+    this.clientPubkey = bytesToHex(schnorr.getPublicKey(clientSecretKey));
+    this.remotePubkey = remotePubkey;
+    this.relays = relays;
+    this.secret = secret;
+    this.userPubkey = userPubkey;
+    this.pool = pool || new RelayPool();
+    this.onAuthUrl = onAuthUrl;
+
+    this.pending = new Map();
+    this.subscription = null;
+  }
+
+  /**
+   * Create a signer from a bunker:// URI
+   */
+  static fromBunkerURI(uri, options = {}) {
+    const { pubkey, relays, secret } = parseBunkerURI(uri);
+    return new BunkerSigner({
+      clientSecretKey: options.clientSecretKey || schnorr.utils.randomPrivateKey(),
+      remotePubkey: pubkey,
+      relays,
+      secret,
+      ...options,
+    });
+  }
+
+  /**
+   * Start a nostrconnect:// session. Returns the URI to show the user and a
+   * promise that resolves with a connected signer once the remote signer
+   * answers with our secret.
+   */
+  static startNostrConnect(options = {}) {
+    const clientSecretKey = options.clientSecretKey || schnorr.utils.randomPrivateKey();
+    const clientPubkey = bytesToHex(schnorr.getPublicKey(clientSecretKey));
+    const relays = options.relays || DEFAULT_RELAYS;
+    const secret = options.secret || bytesToHex(randomBytes(16));
+    const pool = options.pool || new RelayPool();
+
+    const uri = createNostrConnectURI({
+      clientPubkey,
+      relays,
+      secret,
+      perms: options.perms,
+      name: options.name,
+      url: options.url,
+    });
+
+    let subscription;
+    let timer;
+    const connected = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        subscription?.close();
+        reject(new Error('Timed out waiting for the remote signer'));
+      }, options.timeout || AUTH_URL_TIMEOUT);
+
+      subscription = pool.subscribe(
+        [{ kinds: [KIND_NOSTR_CONNECT], '#p': [clientPubkey], since: Math.floor(Date.now() / 1000) - 10 }],
+        (event) => {
+          let response;
+          try {
+            response = JSON.parse(decryptMessage(clientSecretKey, event.pubkey, event.content));
+          } catch (e) {
+            return;
+          }
+
+          // The secret proves the response comes from the signer we showed the URI to
+          if (response.result !== secret) return;
+
+          clearTimeout(timer);
+          subscription.close();
+
+          const signer = new BunkerSigner({
+            clientSecretKey,
+            remotePubkey: event.pubkey,
+            relays,
+            pool,
+            onAuthUrl: options.onAuthUrl,
+          });
+          signer.getPublicKey().then(() => resolve(signer), reject);
+        },
+        null,
+        { relays }
+      );
+    });
+
+    return {
+      uri,
+      connected,
+      cancel: () => {
+        clearTimeout(timer);
+        subscription?.close();
+      },
+    };
+  }
+
+  /**
+   * Restore a signer from data saved with toJSON()
+   */
+  static fromSession(session, options = {}) {
+    return new BunkerSigner({
+      clientSecretKey: hexToBytes(session.clientSecretKey),
+      remotePubkey: session.remotePubkey,
+      relays: session.relays,
+      userPubkey: session.userPubkey,
+      ...options,
+    });
+  }
+
+  /**
+   * Data needed to resume this session after a reload
+   */
+  toJSON() {
+    return {
+      clientSecretKey: bytesToHex(this.clientSecretKey),
+      remotePubkey: this.remotePubkey,
+      relays: this.relays,
+      userPubkey: this.userPubkey,
+    };
+  }
+
+  /**
+   * Listen for responses from the remote signer
+   */
+  _ensureSubscription() {
+    if (this.subscription && !this.subscription.closed) return;
+
+    this.subscription = this.pool.subscribe(
+      [{
+        kinds: [KIND_NOSTR_CONNECT],
+        authors: [this.remotePubkey],
+        '#p': [this.clientPubkey],
+        since: Math.floor(Date.now() / 1000) - 10,
+      }],
+      (event) => this._handleResponse(event),
+      null,
+      { relays: this.relays }
+    );
+  }
+
+  _handleResponse(event) {
+    let response;
+    try {
+      response = JSON.parse(decryptMessage(this.clientSecretKey, this.remotePubkey, event.content));
+    } catch (e) {
+      console.error('Failed to decrypt remote signer response:', e);
+      return;
+    }
+
+    const pending = this.pending.get(response.id);
+    if (!pending) return;
+
+    // The user has to approve something in their signer first; the real
+    // response comes later with the same id
+    if (response.result === 'auth_url') {
+      clearTimeout(pending.timer);
+      pending.timer = setTimeout(() => this._timeout(response.id), AUTH_URL_TIMEOUT);
+      this.onAuthUrl(response.error);
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pending.delete(response.id);
+
+    if (response.error) {
+      pending.reject(new Error(`Remote signer error: ${response.error}`));
+    } else {
+      pending.resolve(response.result);
+    }
+  }
+
+  _timeout(id) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    this.pending.delete(id);
+    pending.reject(new Error(`Remote signer did not answer ${pending.method}`));
+  }
+
+  /**
+   * Send a request to the remote signer and wait for its result
+   */
+  async sendRequest(method, params = []) {
+    this._ensureSubscription();
+
+    const id = bytesToHex(randomBytes(8));
+    const content = encryptMessage(this.clientSecretKey, this.remotePubkey, JSON.stringify({ id, method, params }));
+    const event = finalizeEvent({
+      kind: KIND_NOSTR_CONNECT,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', this.remotePubkey]],
+      content,
+    }, this.clientSecretKey);
+
+    const result = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => this._timeout(id), REQUEST_TIMEOUT);
+      this.pending.set(id, { method, resolve, reject, timer });
+    });
+
+    // Forget the request if it never reached the signer
+    const cancel = () => {
+      const pending = this.pending.get(id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pending.delete(id);
+      }
+    };
+
+    let published;
+    try {
+      published = await this.pool.publish(event, { relays: this.relays });
+    } catch (err) {
+      cancel();
+      throw err;
+    }
+
+    if (!published.some(r => r.accepted)) {
+      cancel();
+      throw new Error(`Could not reach the remote signer: ${published.map(r => r.message).join(', ')}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Connect to a bunker:// signer, using the secret from the URI
+   */
+  async connect(perms = DEFAULT_PERMISSIONS) {
+    const params = [this.remotePubkey, this.secret || '', perms.join(',')];
+    const result = await this.sendRequest('connect', params);
+
+    if (result !== 'ack' && result !== this.secret) {
+      throw new Error(`Unexpected connect response: ${result}`);
+    }
+  }
+
+  async ping() {
+    const result = await this.sendRequest('ping');
+    if (result !== 'pong') throw new Error(`Unexpected ping response: ${result}`);
+  }
+
+  async getPublicKey() {
+    if (!this.userPubkey) {
+      this.userPubkey = await this.sendRequest('get_public_key');
+    }
+    return this.userPubkey;
+  }
+
+  async signEvent(eventTemplate) {
+    const result = await this.sendRequest('sign_event', [JSON.stringify(eventTemplate)]);
+    const event = JSON.parse(result);
+
+    if (!verifyEvent(event)) throw new Error('Remote signer returned an invalid event');
+    if (this.userPubkey && event.pubkey !== this.userPubkey) {
+      throw new Error('Remote signer signed with an unexpected key');
+    }
+    return event;
+  }
+
+  async nip04Encrypt(pubkey, plaintext) {
+    return this.sendRequest('nip04_encrypt', [pubkey, plaintext]);
+  }
+
+  async nip04Decrypt(pubkey, ciphertext) {
+    return this.sendRequest('nip04_decrypt', [pubkey, ciphertext]);
+  }
+
+  async nip44Encrypt(pubkey, plaintext) {
+    return this.sendRequest('nip44_encrypt', [pubkey, plaintext]);
+  }
+
+  async nip44Decrypt(pubkey, payload) {
+    return this.sendRequest('nip44_decrypt', [pubkey, payload]);
+  }
+
+  /**
+   * Stop listening and reject anything still waiting
+   */
+  close() {
+    this.subscription?.close();
+    this.subscription = null;
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Remote signer session closed'));
+    }
+    this.pending.clear();
+  }
+}
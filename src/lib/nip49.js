@@ -0,0 +1,71 @@
+// NIP-49: Private key encryption (ncryptsec)
+
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { bytesToHex, concatBytes, hexToBytes, randomBytes } from '@noble/hashes/utils';
+import { ncryptsecEncode, ncryptsecDecode } from './nip19.js';
+
+const VERSION = 0x02;
+const DEFAULT_LOG_N = 16;
+
+/**
+ * Key security byte: how the key was handled before it was encrypted
+ */
+export const KEY_SECURITY = {
+  INSECURE: 0x00,  // known to have been handled insecurely
+  SECURE: 0x01,    // known not to have been
+  UNKNOWN: 0x02,
+};
+
+/**
+ * Derive the symmetric key from a password. Passwords are NFKC-normalized
+ * so the same password typed on different systems unlocks the key.
+ */
+function deriveKey(password, salt, logN) {
+  return scryptAsync(password.normalize('NFKC'), salt, { N: 2 ** logN, r: 8, p: 1, dkLen: 32 });
+}
+
+/**
+ * Encrypt a secret key with a password into an ncryptsec string.
+ * Higher logN is slower to unlock and to brute force.
+ */
+export async function encrypt(secretKey, password, logN = DEFAULT_LOG_N, keySecurity = KEY_SECURITY.UNKNOWN) {
+  const salt = randomBytes(16);
+  const nonce = randomBytes(24);
+  const aad = new Uint8Array([keySecurity]);
+
+  const key = await deriveKey(password, salt, logN);
+  const ciphertext = xchacha20poly1305(key, nonce, aad).encrypt(secretKey);
+
+  const payload = concatBytes(new Uint8Array([VERSION, logN]), salt, nonce, aad, ciphertext);
+  return ncryptsecEncode(bytesToHex(payload));
+}
+
+/**
+ * Decrypt an ncryptsec string with a password. Throws on a wrong password.
+ */
+export async function decrypt(ncryptsec, password) {
+  const payload = hexToBytes(ncryptsecDecode(ncryptsec));
+  if (payload.length !== 91) throw new Error('Invalid ncryptsec length');
+  if (payload[0] !== VERSION) throw new Error(`Unknown ncryptsec version ${payload[0]}`);
+
+  const logN = payload[1];
+  const salt = payload.subarray(2, 18);
+  const nonce = payload.subarray(18, 42);
+  const aad = payload.subarray(42, 43);
+  const ciphertext = payload.subarray(43);
+
+  const key = await deriveKey(password, salt, logN);
+  try {
+    return xchacha20poly1305(key, nonce, aad).decrypt(ciphertext);
+  } catch (e) {
+    throw new Error('Wrong password');
+  }
+}
+
+/**
+ * Read the key security byte without decrypting
+ */
+export function getKeySecurity(ncryptsec) {
+  return hexToBytes(ncryptsecDecode(ncryptsec))[42];
+}
@@ -0,0 +1,237 @@
+// NIP-51: Lists
+//
+// A list is a set of tags. Public items are the event's tags; private items
+// are a JSON array of tags encrypted to the author themself (NIP-44, or
+// NIP-04 in lists written by older clients) in the content.
+
+import { getRootEventId } from './nip10.js';
+import { summarizePublishResults } from './relay.js';
+
+export const MUTE_LIST_KIND = 10000;
+export const BOOKMARKS_KIND = 10003;
+export const FOLLOW_SET_KIND = 30000;
+
+// Tags that describe a set rather than being items of it
+const METADATA_TAGS = ['d', 'title', 'description', 'image'];
+
+function isAddressable(kind) {
+  return kind >= 30000 && kind < 40000;
+}
+
+function isItemTag(tag) {
+  return Array.isArray(tag) && typeof tag[0] === 'string' && typeof tag[1] === 'string' && !METADATA_TAGS.includes(tag[0]);
+}
+
+/**
+ * Create an empty list. Sets (kind 30000-39999) need an `identifier`.
+ */
+export function createList(kind, identifier = null, title = '') {
+  if (isAddressable(kind) && !identifier) throw new Error('Sets need an identifier');
+
+  return {
+    kind,
+    identifier: isAddressable(kind) ? identifier : null,
+    title,
+    publicTags: [],
+    privateTags: [],
+    unreadable: false,
+  };
+}
+
+/**
+ * Parse a list event into { kind, identifier, title, publicTags,
+ * privateTags, unreadable }. Private items are only decrypted when
+ * `signer` holds the author's key; otherwise, or if decrypting fails,
+ * `unreadable` is set.
+ */
+export async function parseList(event, signer = null) {
+  const getTag = (name) => event.tags.find(tag => tag[0] === name)?.[1] || '';
+  const list = {
+    kind: event.kind,
+    identifier: isAddressable(event.kind) ? getTag('d') : null,
+    title: getTag('title'),
+    publicTags: event.tags.filter(isItemTag),
+    privateTags: [],
+    unreadable: false,
+  };
+
+  if (!event.content) return list;
+
+  try {
+    if (!signer || await signer.getPublicKey() !== event.pubkey) throw new Error('Not our list');
+    const plaintext = event.content.includes('?iv=')
+      ? await signer.nip04Decrypt(event.pubkey, event.content)
+      : await signer.nip44Decrypt(event.pubkey, event.content);
+    const tags = JSON.parse(plaintext);
+    if (!Array.isArray(tags)) throw new Error('Private items are not a list');
+    list.privateTags = tags.filter(isItemTag);
+  } catch (e) {
+    list.unreadable = true;
+  }
+
+  return list;
+}
+
+/**
+ * Create the event template for `list`, encrypting its private items with
+ * `signer`. Refuses lists whose private items couldn't be read, since
+ * publishing them would drop those items.
+ */
+export async function createListEvent(list, signer) {
+  if (list.unreadable) throw new Error('Private items of this list could not be decrypted');
+
+  const tags = [];
+  if (isAddressable(list.kind)) tags.push(['d', list.identifier]);
+  if (list.title) tags.push(['title', list.title]);
+  tags.push(...list.publicTags);
+
+  let content = '';
+  if (list.privateTags.length > 0) {
+    const pubkey = await signer.getPublicKey();
+    content = await signer.nip44Encrypt(pubkey, JSON.stringify(list.privateTags));
+  }
+
+  return {
+    kind: list.kind,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content,
+  };
+}
+
+/**
+ * Find the set in `sets` the user means by `name`, by title or identifier,
+ * or create a new one named `name`. The new set's identifier is derived
+ * from the name and matched against `sets` too: publishing under an
+ * identifier that's taken would replace that set.
+ */
+export function findOrCreateSet(sets, kind, name) {
+  const identifier = name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || `list-${Date.now()}`;
+  const matches = (set) => (set.title || set.identifier).toLowerCase() === name.toLowerCase()
+    || set.identifier === name
+    || set.identifier === identifier;
+
+  return sets.find(matches) || createList(kind, identifier, name);
+}
+
+/**
+ * All items of a list, public first
+ */
+export function getListItems(list) {
+  return [...list.publicTags, ...list.privateTags];
+}
+
+/**
+ * Check if `list` has an item with the same name and value as `tag`
+ */
+export function hasListItem(list, tag) {
+  return getListItems(list).some(item => item[0] === tag[0] && item[1] === tag[1]);
+}
+
+/**
+ * Return a copy of `list` with `tag` added, to the private items if
+ * `isPrivate`. Items already in the list are not added twice.
+ */
+export function addListItem(list, tag, isPrivate = false) {
+  if (hasListItem(list, tag)) return list;
+
+  return isPrivate
+    ? { ...list, privateTags: [...list.privateTags, tag] }
+    : { ...list, publicTags: [...list.publicTags, tag] };
+}
+
+/**
+ * Return a copy of `list` without items matching `tag`'s name and value
+ */
+export function removeListItem(list, tag) {
+  const keep = (item) => item[0] !== tag[0] || item[1] !== tag[1];
+  return { ...list, publicTags: list.publicTags.filter(keep), privateTags: list.privateTags.filter(keep) };
+}
+
+/**
+ * Add the note `event` to a bookmark list, or remove it if it's there.
+ * `relay` is a hint for where the note can be found.
+ */
+export function toggleBookmark(list, event, relay = '') {
+  const tag = ['e', event.id, relay];
+  return hasListItem(list, tag) ? removeListItem(list, tag) : addListItem(list, tag);
+}
+
+/**
+ * Sign one of our lists with `signer` and publish it to our own write
+ * relays. Resolves with the summarized results; rejects if it couldn't be
+ * signed.
+ */
+export async function publishList(router, list, signer) {
+  const signed = await signer.signEvent(await createListEvent(list, signer));
+  return summarizePublishResults(await router.pool.publish(signed, { relays: router.getOwnWriteRelays() }));
+}
+
+/**
+ * Fetch `pubkey`'s lists of `kind` from their write relays: the newest
+ * event, or for sets the newest per identifier. Resolves with parsed lists.
+ * Rejects if no relay answered, since an empty result then doesn't mean
+ * there are no lists, and saving over them would wipe them.
+ */
+export async function fetchLists(router, pubkey, kind, signer = null) {
+  const events = [];
+  let done;
+  const eose = new Promise(resolve => { done = resolve; });
+  const handle = await router.subscribeAuthors([pubkey], { kinds: [kind] }, (event) => events.push(event), done, {
+    closeOnEose: true,
+    cacheFirst: true,
+  });
+  await eose;
+  if (handle.eosedBy.size === 0) throw new Error('None of the relays answered');
+
+  const latest = new Map();
+  for (const event of events) {
+    const key = isAddressable(kind) ? event.tags.find(tag => tag[0] === 'd')?.[1] || '' : '';
+    if (!latest.has(key) || latest.get(key).created_at < event.created_at) {
+      latest.set(key, event);
+    }
+  }
+
+  return Promise.all([...latest.values()].map(event => parseList(event, signer)));
+}
+
+/**
+ * Fetch `pubkey`'s list of a replaceable `kind`, or an empty one if the
+ * relays have none. Rejects like fetchLists.
+ */
+export async function fetchList(router, pubkey, kind, signer = null) {
+  const [list] = await fetchLists(router, pubkey, kind, signer);
+  return list || createList(kind);
+}
+
+/**
+ * Matches events against a mute list's items: muted pubkeys (`p`),
+ * hashtags (`t`), words (`word`) and threads (`e`, by root id)
+ */
+export class MuteList {
+  constructor(items = []) {
+    this.pubkeys = new Set();
+    this.hashtags = new Set();
+    this.words = [];
+    this.threads = new Set();
+
+    for (const [name, value] of items) {
+      if (name === 'p') this.pubkeys.add(value);
+      else if (name === 't') this.hashtags.add(value.toLowerCase());
+      else if (name === 'word' && value.trim()) this.words.push(value.trim().toLowerCase());
+      else if (name === 'e') this.threads.add(value);
+    }
+  }
+
+  /**
+   * Check if `event` should be hidden
+   */
+  isMuted(event) {
+    if (this.pubkeys.has(event.pubkey)) return true;
+    if (this.threads.has(event.id) || this.threads.has(getRootEventId(event))) return true;
+    if (event.tags.some(tag => tag[0] === 't' && typeof tag[1] === 'string' && this.hashtags.has(tag[1].toLowerCase()))) return true;
+
+    const content = event.content.toLowerCase();
+    return this.words.some(word => content.includes(word));
+  }
+}
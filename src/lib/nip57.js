@@ -1,35 +1,90 @@
 // NIP-57: Lightning Zaps utilities
 
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+import { parseProfileData, verifyEvent } from './events.js';
+import { decodeInvoice } from './bolt11.js';
+import { lnurlDecode, lnurlEncode } from './nip19.js';
+
+export const ZAP_REQUEST_KIND = 9734;
+export const ZAP_RECEIPT_KIND = 9735;
+
+const FETCH_TIMEOUT = 10000;
+
+const utf8Encoder = new TextEncoder();
+
 /**
- * Get zap endpoint from user metadata
+ * Fetch JSON from an LNURL server. Wallets report errors as
+ * { status: 'ERROR', reason }, sometimes with an error status code.
  */
-export async function getZapEndpoint(metadataEvent) {
+async function fetchLnurl(url, fetcher) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
   try {
-    const metadata = JSON.parse(metadataEvent.content);
-    let lnurl = '';
-
-    // Check for lud16 (Lightning Address)
-    if (metadata.lud16) {
-      const [name, domain] = metadata.lud16.split('@');
-      lnurl = `https://${domain}/.well-known/lnurlp/${name}`;
-    } else if (metadata.lud06) {
-      // lud06 is a bech32 encoded LNURL (more complex, skip for simplicity)
-      console.log('lud06 not implemented in this demo');
-      return null;
-    } else {
+    const res = await fetcher(url, { signal: controller.signal });
+    const body = await res.json().catch(() => null);
+    if (body?.status === 'ERROR') throw new Error(body.reason || 'Wallet returned an error');
+    if (!res.ok || !body) throw new Error(`Wallet server answered with status ${res.status}`);
+    return body;
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error('Wallet server did not answer in time');
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get the LNURL-pay URL from profile metadata, from lud16 (Lightning
+ * Address) or lud06 (bech32 LNURL)
+ */
+export function getLnurlPayUrl(metadata) {
+  if (metadata.lud16) {
+    const [name, domain] = metadata.lud16.trim().toLowerCase().split('@');
+    if (!name || !domain) return null;
+    return `https://${domain}/.well-known/lnurlp/${name}`;
+  }
+
+  if (metadata.lud06) {
+    try {
+      return lnurlDecode(metadata.lud06.trim());
+    } catch (err) {
+      console.error('Invalid lud06:', err);
       return null;
     }
+  }
+
+  return null;
+}
+
+/**
+ * Get zap endpoint from user metadata. Resolves with
+ * { callback, lnurl, nostrPubkey, minSendable, maxSendable, commentAllowed }
+ * (amounts in millisats), or null if the wallet doesn't support zaps.
+ * options.fetch replaces the global fetch.
+ */
+export async function getZapEndpoint(metadataEvent, options = {}) {
+  try {
+    const url = getLnurlPayUrl(parseProfileData(metadataEvent));
+    if (!url) return null;
 
     // Fetch the LNURL endpoint
-    const res = await fetch(lnurl);
-    const body = await res.json();
+    const fetcher = options.fetch || ((...args) => fetch(...args));
+    const body = await fetchLnurl(url, fetcher);
 
     // Check if it supports Nostr zaps
-    if (body.allowsNostr && body.nostrPubkey) {
-      return body.callback;
-    }
+    if (!body.allowsNostr || typeof body.callback !== 'string') return null;
+    if (typeof body.nostrPubkey !== 'string' || !/^[a-f0-9]{64}$/.test(body.nostrPubkey)) return null;
 
-    return null;
+    return {
+      callback: body.callback,
+      lnurl: lnurlEncode(url),
+      nostrPubkey: body.nostrPubkey,
+      minSendable: Number(body.minSendable) || 1000,
+      maxSendable: Number(body.maxSendable) || Infinity,
+      commentAllowed: Number(body.commentAllowed) || 0,
+    };
   } catch (err) {
     console.error('Failed to get zap endpoint:', err);
     return null;
@@ -37,9 +92,9 @@ export async function getZapEndpoint(metadataEvent) {
 }
 
 /**
- * Create a zap request event (kind 9734)
+ * Create a zap request event (kind 9734). `amount` is in millisats.
  */
-export function createZapRequest({ recipientPubkey, amount, comment = '', relays = [], eventId = null }) {
+export function createZapRequest({ recipientPubkey, amount, comment = '', relays = [], eventId = null, lnurl = null }) {
   const tags = [
     ['p', recipientPubkey],
     ['amount', amount.toString()],
@@ -51,8 +106,12 @@ export function createZapRequest({ recipientPubkey, amount, comment = '', relays
     tags.push(['e', eventId]);
   }
 
+  if (lnurl) {
+    tags.push(['lnurl', lnurl]);
+  }
+
   return {
-    kind: 9734,
+    kind: ZAP_REQUEST_KIND,
     created_at: Math.floor(Date.now() / 1000),
     tags: tags,
     content: comment,
@@ -60,10 +119,92 @@ export function createZapRequest({ recipientPubkey, amount, comment = '', relays
 }
 
 /**
- * Parse zap receipt (kind 9735) to extract zap information
+ * Send a signed zap request to the endpoint's callback and resolve with the
+ * bolt11 invoice. Checks the amount against min/maxSendable and that the
+ * invoice commits to the zap request and amount.
+ */
+export async function requestZapInvoice(endpoint, zapRequest, options = {}) {
+  const amountTag = zapRequest.tags.find(tag => tag[0] === 'amount');
+  const amount = amountTag ? Number(amountTag[1]) : NaN;
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('Zap request has no amount');
+
+  if (amount < endpoint.minSendable || amount > endpoint.maxSendable) {
+    const max = endpoint.maxSendable === Infinity ? 'any amount' : formatSats(Math.floor(endpoint.maxSendable / 1000));
+    throw new Error(`Amount must be between ${formatSats(Math.ceil(endpoint.minSendable / 1000))} and ${max}`);
+  }
+
+  const description = JSON.stringify(zapRequest);
+  const url = new URL(endpoint.callback);
+  url.searchParams.set('amount', amount.toString());
+  url.searchParams.set('nostr', description);
+  url.searchParams.set('lnurl', endpoint.lnurl);
+
+  const fetcher = options.fetch || ((...args) => fetch(...args));
+  const body = await fetchLnurl(url.toString(), fetcher);
+  if (typeof body.pr !== 'string') throw new Error('Wallet returned no invoice');
+
+  const invoice = decodeInvoice(body.pr);
+  if (invoice.amount !== amount) throw new Error('Invoice amount does not match');
+  if (invoice.descriptionHash !== bytesToHex(sha256(utf8Encoder.encode(description)))) {
+    throw new Error('Invoice does not commit to the zap request');
+  }
+
+  return body.pr;
+}
+
+/**
+ * Zap the author of `metadataEvent` (kind 0), or one of their notes: find
+ * their endpoint, sign a zap request with `signEvent` and fetch the invoice.
+ * `amount` is in sats. Resolves with the bolt11 invoice to pay.
+ */
+export async function createZapInvoice({ metadataEvent, amount, comment = '', relays = [], eventId = null, signEvent }) {
+  const endpoint = await getZapEndpoint(metadataEvent);
+  if (!endpoint) throw new Error('This user cannot receive zaps');
+
+  const zapRequest = await signEvent(createZapRequest({
+    recipientPubkey: metadataEvent.pubkey,
+    amount: amount * 1000,
+    comment,
+    relays,
+    eventId,
+    lnurl: endpoint.lnurl,
+  }));
+  return requestZapInvoice(endpoint, zapRequest);
+}
+
+/**
+ * Zap `pubkey`, or their note `eventId`, with `amount` sats: read their
+ * profile from their write relays through `router`, have the receipt
+ * published to their inboxes and our read relays, and pay the invoice.
+ */
+export async function zap(router, { pubkey, eventId = null, amount, signEvent }) {
+  const metadataEvents = await router.queryAuthors([pubkey], { kinds: [0] }, { cacheFirst: true });
+  if (metadataEvents.length === 0) throw new Error('No profile found for this user');
+  const metadataEvent = metadataEvents.reduce((a, b) => (b.created_at > a.created_at ? b : a));
+
+  const relays = [...new Set([...(await router.getInboxRelays([pubkey])), ...router.getOwnReadRelays()])];
+  const invoice = await createZapInvoice({ metadataEvent, amount, relays, eventId, signEvent });
+  await payInvoice(invoice);
+}
+
+/**
+ * Pay an invoice with a WebLN wallet if there is one, otherwise hand it to
+ * the system's lightning: handler
+ */
+export async function payInvoice(invoice) {
+  if (window.webln) {
+    await window.webln.enable();
+    return window.webln.sendPayment(invoice);
+  }
+  window.location.href = `lightning:${invoice}`;
+}
+
+/**
+ * Parse zap receipt (kind 9735) to extract zap information. This only reads
+ * the receipt; use validateZapReceipt before trusting it.
  */
 export function parseZapReceipt(zapReceipt) {
-  if (zapReceipt.kind !== 9735) return null;
+  if (zapReceipt.kind !== ZAP_RECEIPT_KIND) return null;
 
   try {
     // Extract bolt11 invoice
@@ -98,6 +239,8 @@ export function parseZapReceipt(zapReceipt) {
       eventId,
       comment: zapRequest.content || '',
       bolt11: bolt11Tag[1],
+      description: descTag[1],
+      zapRequest,
     };
   } catch (err) {
     console.error('Failed to parse zap receipt:', err);
@@ -106,59 +249,46 @@ export function parseZapReceipt(zapReceipt) {
 }
 
 /**
- * Calculate total zaps received on an event
+ * Parse a zap receipt and check it is genuine: signed by the recipient's
+ * LNURL provider (`nostrPubkey` from getZapEndpoint), carrying a signed zap
+ * request whose hash is the invoice's description hash, with matching
+ * amounts. Returns the parsed zap (amount from the invoice) or null.
  */
-export function calculateTotalZaps(zapReceipts, eventId = null) {
-  let total = 0;
+export function validateZapReceipt(zapReceipt, nostrPubkey) {
+  if (zapReceipt.pubkey !== nostrPubkey || !verifyEvent(zapReceipt)) return null;
 
-  for (const receipt of zapReceipts) {
-    const zap = parseZapReceipt(receipt);
-    if (zap && (!eventId || zap.eventId === eventId)) {
-      total += Math.floor(zap.amount / 1000); // Convert millisats to sats
-    }
+  const zap = parseZapReceipt(zapReceipt);
+  if (!zap || zap.zapRequest.kind !== ZAP_REQUEST_KIND || !verifyEvent(zap.zapRequest)) return null;
+
+  let invoice;
+  try {
+    invoice = decodeInvoice(zap.bolt11);
+  } catch (err) {
+    return null;
   }
 
-  return total;
+  if (invoice.descriptionHash !== bytesToHex(sha256(utf8Encoder.encode(zap.description)))) return null;
+  if (invoice.amount === null || (zap.amount && zap.amount !== invoice.amount)) return null;
+
+  return { ...zap, amount: invoice.amount };
 }
 
 /**
- * Get satoshi amount from bolt11 invoice
+ * Calculate total zaps (in sats) received from valid receipts, optionally
+ * only those for one event. `nostrPubkey` is the recipient's LNURL provider
+ * key; receipts not signed by it are ignored.
  */
-export function getSatoshisFromBolt11(bolt11) {
-  if (bolt11.length < 50) return 0;
-
-  bolt11 = bolt11.substring(0, 50);
-  const idx = bolt11.lastIndexOf('1');
-  if (idx === -1) return 0;
-
-  const hrp = bolt11.substring(0, idx);
-  if (!hrp.startsWith('lnbc')) return 0;
-
-  const amount = hrp.substring(4);
-  if (amount.length < 1) return 0;
-
-  const lastChar = amount[amount.length - 1];
-  const isDigit = /\d/.test(lastChar);
-
-  let cutPoint = amount.length - 1;
-  if (isDigit) cutPoint++;
-
-  if (cutPoint < 1) return 0;
-
-  const num = parseInt(amount.substring(0, cutPoint));
+export function calculateTotalZaps(zapReceipts, nostrPubkey, eventId = null) {
+  let total = 0;
 
-  switch (lastChar) {
-    case 'm':
-      return num * 100000;
-    case 'u':
-      return num * 100;
-    case 'n':
-      return Math.floor(num / 10);
-    case 'p':
-      return Math.floor(num / 10000);
-    default:
-      return num * 100000000;
+  for (const receipt of zapReceipts) {
+    const zap = validateZapReceipt(receipt, nostrPubkey);
+    if (zap && (!eventId || zap.eventId === eventId)) {
+      total += Math.floor(zap.amount / 1000); // Convert millisats to sats
+    }
   }
+
+  return total;
 }
 
 /**
@@ -0,0 +1,92 @@
+// NIP-59: Gift wrap
+//
+// A rumor (unsigned event) is sealed (kind 13, encrypted and signed by the
+// author) and then gift-wrapped (kind 1059, encrypted and signed by a
+// throwaway key) so relays only see the recipient.
+
+import { schnorr } from '@noble/curves/secp256k1';
+import { finalizeEvent, getEventHash, validateEvent, verifyEvent } from './events.js';
+import * as nip44 from './nip44.js';
+
+export const SEAL_KIND = 13;
+export const GIFT_WRAP_KIND = 1059;
+
+const TWO_DAYS = 2 * 24 * 60 * 60;
+
+/**
+ * A timestamp up to two days in the past, so wraps can't be correlated
+ * with the moment a message was sent
+ */
+function randomTimestamp() {
+  return Math.floor(Date.now() / 1000) - Math.floor(Math.random() * TWO_DAYS);
+}
+
+/**
+ * Turn an event template into a rumor: an event with an id but no signature
+ */
+export function createRumor(eventTemplate, pubkey) {
+  const rumor = {
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [],
+    content: '',
+    ...eventTemplate,
+    pubkey,
+  };
+  rumor.id = getEventHash(rumor);
+  return rumor;
+}
+
+/**
+ * Seal a rumor for a recipient, signed by the author's signer
+ */
+export async function createSeal(rumor, signer, recipientPubkey) {
+  const content = await signer.nip44Encrypt(recipientPubkey, JSON.stringify(rumor));
+  return signer.signEvent({
+    kind: SEAL_KIND,
+    created_at: randomTimestamp(),
+    tags: [],
+    content,
+  });
+}
+
+/**
+ * Gift-wrap a seal for a recipient with a fresh random key
+ */
+export function createWrap(seal, recipientPubkey) {
+  const wrapKey = schnorr.utils.randomPrivateKey();
+  const content = nip44.encrypt(JSON.stringify(seal), nip44.getConversationKey(wrapKey, recipientPubkey));
+
+  return finalizeEvent({
+    kind: GIFT_WRAP_KIND,
+    created_at: randomTimestamp(),
+    tags: [['p', recipientPubkey]],
+    content,
+  }, wrapKey);
+}
+
+/**
+ * Seal and wrap a rumor for one recipient
+ */
+export async function wrapEvent(rumor, signer, recipientPubkey) {
+  const seal = await createSeal(rumor, signer, recipientPubkey);
+  return createWrap(seal, recipientPubkey);
+}
+
+/**
+ * Open a gift wrap addressed to the signer's user and return the rumor.
+ * Throws if any layer is malformed or the seal's author doesn't match.
+ */
+export async function unwrapEvent(wrap, signer) {
+  if (wrap.kind !== GIFT_WRAP_KIND || !verifyEvent(wrap)) throw new Error('Invalid gift wrap');
+
+  const seal = JSON.parse(await signer.nip44Decrypt(wrap.pubkey, wrap.content));
+  if (seal.kind !== SEAL_KIND || !verifyEvent(seal)) throw new Error('Invalid seal');
+
+  const rumor = JSON.parse(await signer.nip44Decrypt(seal.pubkey, seal.content));
+  if (!validateEvent(rumor) || getEventHash(rumor) !== rumor.id) throw new Error('Invalid rumor');
+
+  // Only the seal is signed, so it is what proves who wrote the rumor
+  if (rumor.pubkey !== seal.pubkey) throw new Error('Rumor author does not match seal');
+
+  return rumor;
+}
@@ -1,63 +1,71 @@
 // NIP-65: Relay List Metadata utilities
 
-import { Relay } from './relay.js';
+import { RelayPool } from './relay.js';
 
 const PURPLEPAGES_RELAY = 'wss://purplepag.es';
+const LOOKUP_TIMEOUT = 5000;
+// How long to remember that a user has no relay list before asking again
+const MISSING_LIST_TTL = 60 * 60 * 1000;
+
+// One connection to purplepag.es, shared by every lookup
+let lookupPool = null;
+
+function getLookupPool() {
+  if (!lookupPool) lookupPool = new RelayPool();
+  return lookupPool;
+}
+
+/**
+ * Ask purplepag.es for kind 10002 events by `authors`. Resolves with
+ * { events, answered }, where answered is false if it never sent EOSE.
+ */
+function queryRelayLists(authors) {
+  return new Promise(resolve => {
+    const events = [];
+    const handle = getLookupPool().subscribe(
+      [{ kinds: [10002], authors }],
+      (event) => events.push(event),
+      () => resolve({ events, answered: handle.eosedBy.size > 0 }),
+      { relays: [PURPLEPAGES_RELAY], eoseTimeout: LOOKUP_TIMEOUT, closeOnEose: true }
+    );
+  });
+}
 
 /**
  * Fetch user's relay list from purplepag.es
  */
 export async function fetchUserRelays(pubkey) {
-  return new Promise((resolve, reject) => {
-    const relay = new Relay(PURPLEPAGES_RELAY);
-    const events = [];
+  const { events } = await queryRelayLists([pubkey]);
+  if (events.length === 0) {
+    // No relay list found, return default relays
+    return getDefaultRelays();
+  }
 
-    relay.connect()
-      .then(() => {
-        relay.subscribe(
-          [
-            {
-              kinds: [10002],
-              authors: [pubkey],
-              limit: 1,
-            }
-          ],
-          (event) => {
-            events.push(event);
-          },
-          () => {
-            // EOSE - end of stored events
-            relay.close();
-
-            if (events.length > 0) {
-              // Get the most recent relay list
-              events.sort((a, b) => b.created_at - a.created_at);
-              const relays = parseRelayListEvent(events[0]);
-              resolve(relays);
-            } else {
-              // No relay list found, return default relays
-              resolve(getDefaultRelays());
-            }
-          }
-        );
-
-        // Timeout after 5 seconds
-        setTimeout(() => {
-          relay.close();
-          if (events.length > 0) {
-            events.sort((a, b) => b.created_at - a.created_at);
-            const relays = parseRelayListEvent(events[0]);
-            resolve(relays);
-          } else {
-            resolve(getDefaultRelays());
-          }
-        }, 5000);
-      })
-      .catch((err) => {
-        console.error('Failed to connect to purplepag.es:', err);
-        reject(err);
-      });
-  });
+  const event = events.reduce((a, b) => (b.created_at > a.created_at ? b : a));
+  return parseRelayListEvent(event);
+}
+
+/**
+ * Fetch the relay lists of many users at once from purplepag.es.
+ * Resolves with { relays, answered }: a Map of pubkey -> relays for the
+ * users that have one, and whether purplepag.es answered at all.
+ */
+export async function fetchUsersRelays(pubkeys) {
+  const { events, answered } = await queryRelayLists(pubkeys);
+
+  const newest = new Map();
+  for (const event of events) {
+    const current = newest.get(event.pubkey);
+    if (!current || event.created_at > current.created_at) {
+      newest.set(event.pubkey, event);
+    }
+  }
+
+  const relays = new Map();
+  for (const [pubkey, event] of newest) {
+    relays.set(pubkey, parseRelayListEvent(event));
+  }
+  return { relays, answered };
 }
 
 /**
@@ -128,6 +136,28 @@ export function loadUserRelays(pubkey) {
   return null;
 }
 
+/**
+ * Remember that `pubkey` has no relay list, so lookups skip them for a while
+ */
+function storeMissingRelayList(pubkey) {
+  localStorage.setItem(`nostr_relays_missing_${pubkey}`, Date.now().toString());
+}
+
+/**
+ * Check if `pubkey` was recently found to have no relay list
+ */
+function isRelayListMissing(pubkey) {
+  const key = `nostr_relays_missing_${pubkey}`;
+  const checkedAt = Number(localStorage.getItem(key));
+  if (!checkedAt) return false;
+
+  if (Date.now() - checkedAt > MISSING_LIST_TTL) {
+    localStorage.removeItem(key);
+    return false;
+  }
+  return true;
+}
+
 /**
  * Fetch and cache user relays
  */
@@ -156,3 +186,38 @@ export async function getUserRelays(pubkey, forceRefresh = false) {
     return getDefaultRelays();
   }
 }
+
+/**
+ * Get relay lists for many users, from cache where possible and with a
+ * single request for the rest. Users without a relay list are left out,
+ * and not asked for again for MISSING_LIST_TTL.
+ */
+export async function getUsersRelays(pubkeys) {
+  const result = new Map();
+  const missing = [];
+
+  for (const pubkey of new Set(pubkeys)) {
+    const cached = loadUserRelays(pubkey);
+    if (cached) result.set(pubkey, cached);
+    else if (!isRelayListMissing(pubkey)) missing.push(pubkey);
+  }
+
+  if (missing.length === 0) return result;
+
+  try {
+    const { relays: fetched, answered } = await fetchUsersRelays(missing);
+    for (const [pubkey, relays] of fetched) {
+      storeUserRelays(pubkey, relays);
+      result.set(pubkey, relays);
+    }
+
+    // Only trust a miss if purplepag.es actually answered
+    if (answered) {
+      missing.filter(pubkey => !fetched.has(pubkey)).forEach(storeMissingRelayList);
+    }
+  } catch (err) {
+    console.error('Failed to fetch relay lists:', err);
+  }
+
+  return result;
+}
@@ -0,0 +1,330 @@
+// Outbox model: read notes from their authors' write relays and deliver
+// events to the read relays of the people they tag (NIP-65)
+
+import { normalizeURL } from './relay.js';
+import { getUsersRelays, getDefaultRelays, getReadRelays, getWriteRelays } from './nip65.js';
+
+const MAX_CONNECTIONS = 12;
+const RELAYS_PER_AUTHOR = 2;
+const RELAYS_PER_RECIPIENT = 2;
+
+/**
+ * Check if a hostname, as the URL parser writes it, is an IP address that
+ * isn't on the public internet: loopback, private, link-local and the like.
+ * The parser already turns forms like 0x7f.1 into 127.0.0.1.
+ */
+function isPrivateAddress(hostname) {
+  const ipv4 = hostname.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b] = ipv4.slice(1).map(Number);
+    return a === 0 || a === 10 || a === 127
+      || (a === 100 && b >= 64 && b < 128)  // carrier-grade NAT
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b < 32)
+      || (a === 192 && b === 168);
+  }
+
+  if (!hostname.startsWith('[')) return false;
+  const ipv6 = hostname.slice(1, -1);
+  if (ipv6 === '::' || ipv6 === '::1') return true;
+
+  // IPv4-mapped, e.g. [::ffff:7f00:1] for 127.0.0.1
+  const mapped = ipv6.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = mapped.slice(1).map(hex => parseInt(hex, 16));
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  const first = parseInt(ipv6.split(':')[0] || '0', 16);
+  return (first & 0xfe00) === 0xfc00  // unique local, fc00::/7
+    || (first & 0xffc0) === 0xfe80;    // link-local, fe80::/10
+}
+
+/**
+ * Normalize a relay URL taken from someone's relay list, or return null
+ * if it's not something we should connect to
+ */
+export function cleanRelayURL(url) {
+  try {
+    const normalized = normalizeURL(url);
+    const parsed = new URL(normalized);
+    const protocol = parsed.protocol;
+    const hostname = parsed.hostname.replace(/\.$/, '');
+    if (protocol !== 'wss:' && protocol !== 'ws:') return null;
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return null;
+    if (hostname.endsWith('.local') || hostname.endsWith('.onion')) return null;
+    if (isPrivateAddress(hostname)) return null;
+    return normalized;
+  } catch (e) {
+    return null;
+  }
+}
+
+function cleanRelayURLs(urls) {
+  return [...new Set(urls.map(cleanRelayURL).filter(Boolean))];
+}
+
+/**
+ * Routes subscriptions and publishes through a RelayPool using the outbox model
+ */
+export class OutboxRouter {
+  constructor(pool, ownRelays = getDefaultRelays(), options = {}) {
+    this.pool = pool;
+    this.ownRelays = ownRelays;
+    this.maxConnections = options.maxConnections || MAX_CONNECTIONS;
+    this.relaysPerAuthor = options.relaysPerAuthor || RELAYS_PER_AUTHOR;
+    this.relaysPerRecipient = options.relaysPerRecipient || RELAYS_PER_RECIPIENT;
+
+    // Relays we've sent traffic to, least recently used first
+    this.opened = new Set();
+  }
+
+  /**
+   * Check if a relay we opened has nothing going on: no open
+   * subscriptions, publishes or counts
+   */
+  _isIdle(url) {
+    const relay = this.pool.relays.get(url);
+    return !relay || (relay.subscriptions.size === 0
+      && relay.publishCallbacks.size === 0
+      && relay.countCallbacks.size === 0);
+  }
+
+  /**
+   * Relays we opened that are still busy, other than `except`
+   */
+  _busyRelays(except = []) {
+    return [...this.opened].filter(url => !except.includes(url) && !this._isIdle(url));
+  }
+
+  /**
+   * Mark relays as about to be used, then close idle relays, least
+   * recently used first, while more than maxConnections are open
+   */
+  _use(urls) {
+    for (const url of urls) {
+      this.opened.delete(url);
+      this.opened.add(url);
+    }
+
+    for (const url of [...this.opened]) {
+      if (!this.pool.relays.has(url) && !urls.includes(url)) this.opened.delete(url);
+    }
+    for (const url of [...this.opened]) {
+      if (this.opened.size <= this.maxConnections) break;
+      if (urls.includes(url) || !this._isIdle(url)) continue;
+      this.pool.removeRelay(url);
+      this.opened.delete(url);
+    }
+  }
+
+  /**
+   * Trim `urls` to what fits next to the busy relays we have open,
+   * keeping relays that are already open first. At least one is kept.
+   */
+  _limit(urls) {
+    const budget = Math.max(1, this.maxConnections - this._busyRelays(urls).length);
+    const open = urls.filter(url => this.pool.relays.has(url));
+    return [...open, ...urls.filter(url => !this.pool.relays.has(url))].slice(0, budget);
+  }
+
+  /**
+   * Our own read relays, used for anyone without a relay list
+   */
+  getOwnReadRelays() {
+    const relays = cleanRelayURLs(getReadRelays(this.ownRelays));
+    return relays.length > 0 ? relays : cleanRelayURLs(getReadRelays(getDefaultRelays()));
+  }
+
+  /**
+   * Our own write relays
+   */
+  getOwnWriteRelays() {
+    const relays = cleanRelayURLs(getWriteRelays(this.ownRelays));
+    return relays.length > 0 ? relays : cleanRelayURLs(getWriteRelays(getDefaultRelays()));
+  }
+
+  /**
+   * Pick relays so every user is covered by up to `perUser` of their relays
+   * while keeping at most maxConnections relays open, counting busy ones
+   * from earlier calls. Relays already open, then relays many users share,
+   * are preferred. Users we can't place go to `fallback`.
+   * Returns a Map of relay URL -> pubkeys.
+   */
+  _assign(relaysByUser, users, perUser, fallback) {
+    const popularity = new Map();
+    for (const urls of relaysByUser.values()) {
+      for (const url of urls) popularity.set(url, (popularity.get(url) || 0) + 1);
+    }
+
+    const busy = this._busyRelays();
+    const assignment = new Map();
+    const assign = (url, pubkey) => {
+      if (!assignment.has(url)) assignment.set(url, []);
+      assignment.get(url).push(pubkey);
+    };
+
+    // Users with the fewest relays pick first, while connections are still free
+    const sorted = [...new Set(users)].sort(
+      (a, b) => (relaysByUser.get(a)?.length || 0) - (relaysByUser.get(b)?.length || 0)
+    );
+    const picked = new Map(sorted.map(pubkey => [pubkey, new Set()]));
+
+    // Give everyone one relay first, then add redundancy round by round
+    for (let round = 0; round < perUser; round++) {
+      for (const pubkey of sorted) {
+        const candidates = (relaysByUser.get(pubkey) || [])
+          .filter(url => !picked.get(pubkey).has(url))
+          .sort((a, b) =>
+            (assignment.has(b) - assignment.has(a))
+            || (this.pool.relays.has(b) - this.pool.relays.has(a))
+            || (popularity.get(b) - popularity.get(a))
+          );
+
+        const used = assignment.size + busy.filter(url => !assignment.has(url)).length;
+        const url = candidates.find(url => assignment.has(url) || used < this.maxConnections);
+        if (!url) continue;
+        assign(url, pubkey);
+        picked.get(pubkey).add(url);
+      }
+    }
+
+    for (const pubkey of sorted) {
+      if (picked.get(pubkey).size > 0) continue;
+      for (const url of fallback) assign(url, pubkey);
+    }
+
+    return assignment;
+  }
+
+  /**
+   * Map each author's write relays and batch authors per relay
+   */
+  async routeAuthors(authors) {
+    const lists = await getUsersRelays(authors);
+    const relaysByUser = new Map();
+    for (const [pubkey, relays] of lists) {
+      relaysByUser.set(pubkey, cleanRelayURLs(getWriteRelays(relays)));
+    }
+
+    return this._assign(relaysByUser, authors, this.relaysPerAuthor, this.getOwnReadRelays());
+  }
+
+  /**
+   * Get the read relays (inboxes) of a set of users, capped per user
+   */
+  async getInboxRelays(pubkeys) {
+    if (pubkeys.length === 0) return [];
+
+    const lists = await getUsersRelays(pubkeys);
+    const relaysByUser = new Map();
+    for (const [pubkey, relays] of lists) {
+      relaysByUser.set(pubkey, cleanRelayURLs(getReadRelays(relays)));
+    }
+
+    const assignment = this._assign(relaysByUser, [...lists.keys()], this.relaysPerRecipient, []);
+    const relays = [...assignment.keys()];
+    this._use(relays);
+    return relays;
+  }
+
+  /**
+   * Subscribe to events by `authors` on each author's write relays.
+   * `filter` must not contain `authors`; it is added per relay.
+   * `options.relayHints` (e.g. from an nprofile) are asked for all authors.
+   * Resolves with the pool subscription handle.
+   */
+  async subscribeAuthors(authors, filter, onEvent, onEose, options = {}) {
+    const { relayHints = [], ...subscribeOptions } = options;
+    const assignment = await this.routeAuthors(authors);
+    for (const url of cleanRelayURLs(relayHints)) {
+      assignment.set(url, [...new Set([...(assignment.get(url) || []), ...authors])]);
+    }
+    this._use([...assignment.keys()]);
+    const requests = [...assignment].map(([url, batch]) => ({
+      url,
+      filters: [{ ...filter, authors: batch }],
+    }));
+
+    return this.pool.subscribeMap(requests, onEvent, onEose, subscribeOptions);
+  }
+
+  /**
+   * Fetch events by `authors` from their write relays, resolving at EOSE
+   */
+  queryAuthors(authors, filter, options = {}) {
+    return new Promise(resolve => {
+      const events = [];
+      this.subscribeAuthors(
+        authors,
+        filter,
+        (event) => events.push(event),
+        () => resolve(events),
+        { ...options, closeOnEose: true }
+      );
+    });
+  }
+
+  /**
+   * Fetch the event a pointer refers to: { id, relays, author } as in an
+   * nevent, or { kind, pubkey, identifier, relays } as in an naddr. Asks the
+   * relay hints first, then the author's write relays, then our read relays,
+   * as many as fit under the connection cap. Resolves with the event or null.
+   */
+  async getEvent(pointer, options = {}) {
+    const author = pointer.author || pointer.pubkey || null;
+    const authorRelays = author ? [...(await this.routeAuthors([author])).keys()] : [];
+    const relays = this._limit([...new Set([
+      ...cleanRelayURLs(pointer.relays || []),
+      ...authorRelays,
+      ...this.getOwnReadRelays(),
+    ])]);
+    this._use(relays);
+
+    const filter = pointer.id
+      ? { ids: [pointer.id] }
+      : { kinds: [pointer.kind], authors: [pointer.pubkey], '#d': [pointer.identifier] };
+
+    return this.pool.get(filter, { cacheFirst: true, ...options, relays });
+  }
+
+  /**
+   * Subscribe on the read relays of `pubkeys` plus our own read relays,
+   * which is where replies and mentions addressed to them end up.
+   * `options.relayHints` (e.g. from `e` tags) are asked as well while
+   * connections are free.
+   */
+  async subscribeInboxes(pubkeys, filters, onEvent, onEose, options = {}) {
+    const { relayHints = [], ...subscribeOptions } = options;
+    const inboxes = await this.getInboxRelays(pubkeys);
+    const relays = this._limit([...new Set([...inboxes, ...this.getOwnReadRelays(), ...cleanRelayURLs(relayHints)])]);
+    this._use(relays);
+
+    return this.pool.subscribe(filters, onEvent, onEose, { ...subscribeOptions, relays });
+  }
+
+  /**
+   * Relays an event should be sent to: our write relays plus the read
+   * relays of everyone it tags
+   */
+  async getPublishRelays(event) {
+    const tagged = event.tags
+      .filter(tag => tag[0] === 'p' && tag[1] && tag[1] !== event.pubkey)
+      .map(tag => tag[1]);
+
+    const inboxes = await this.getInboxRelays(tagged);
+    const own = this.getOwnWriteRelays();
+
+    return [...new Set([...own, ...inboxes])].slice(0, Math.max(this.maxConnections, own.length));
+  }
+
+  /**
+   * Publish an event following the outbox model. Resolves with the pool's
+   * per-relay results.
+   */
+  async publish(event) {
+    const relays = await this.getPublishRelays(event);
+    this._use(relays);
+    return this.pool.publish(event, { relays });
+  }
+}
@@ -1,3 +1,7 @@
+import { verifyEvent, getEventHash } from './events.js';
+import { matchFilters, getFilterLimit } from './filter.js';
+import { createAuthEvent, getAuthPolicy } from './nip42.js';
+
 /**
  * Normalize relay URL
  */
@@ -17,6 +21,66 @@ export function normalizeURL(url) {
   }
 }
 
+const MACHINE_READABLE_PREFIXES = [
+  'duplicate',
+  'pow',
+  'blocked',
+  'rate-limited',
+  'invalid',
+  'restricted',
+  'mute',
+  'error',
+  'auth-required',
+];
+
+const PUBLISH_TIMEOUT = 10000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+const VERIFIED_CACHE_SIZE = 10000;
+const SEEN_ON_CACHE_SIZE = 10000;
+const AUTH_CHALLENGE_TIMEOUT = 3000;
+const EOSE_TIMEOUT = 4000;
+const COUNT_TIMEOUT = 3000;
+
+// id -> sig of events whose signature already checked out, shared by all
+// relays so an event sent by several of them is only verified once
+const verifiedEvents = new Map();
+
+/**
+ * Verify an event, skipping the signature check for events seen before
+ */
+function verifyEventCached(event) {
+  try {
+    if (verifiedEvents.get(event.id) === event.sig) {
+      // Hashing is cheap; it makes sure the content wasn't swapped
+      return getEventHash(event) === event.id;
+    }
+
+    if (!verifyEvent(event)) return false;
+  } catch (e) {
+    // Malformed events can't be serialized
+    return false;
+  }
+
+  verifiedEvents.set(event.id, event.sig);
+  if (verifiedEvents.size > VERIFIED_CACHE_SIZE) {
+    verifiedEvents.delete(verifiedEvents.keys().next().value);
+  }
+  return true;
+}
+
+/**
+ * Parse a machine-readable prefix (NIP-01) from an OK or CLOSED message,
+ * e.g. "blocked: you are banned" -> { prefix: 'blocked', message: 'you are banned' }
+ */
+export function parseMachineReadablePrefix(message = '') {
+  const match = /^([a-z-]+):\s?(.*)$/s.exec(message);
+  if (!match || !MACHINE_READABLE_PREFIXES.includes(match[1])) {
+    return { prefix: null, message };
+  }
+  return { prefix: match[1], message: match[2] };
+}
+
 /**
  * Generate a random subscription ID
  */
@@ -24,17 +88,79 @@ export function generateSubId() {
   return Math.random().toString(36).substring(2, 15);
 }
 
+/**
+ * Ask the user whether to authenticate to a relay
+ */
+function defaultConfirmAuth(url) {
+  if (typeof window === 'undefined' || !window.confirm) return false;
+  return window.confirm(`${url} asks you to log in to it. Send your public key to this relay?`);
+}
+
 /**
  * Relay connection class
  */
 export class Relay {
-  constructor(url) {
+  constructor(url, options = {}) {
     this.url = normalizeURL(url);
     this.ws = null;
     this.subscriptions = new Map();
-    this.status = 'disconnected'; // disconnected, connecting, connected, error
+    this.status = 'disconnected'; // disconnected, connecting, connected, reconnecting, error
     this.eventCallbacks = new Map();
     this.eoseCallbacks = new Map();
+    this.publishCallbacks = new Map();
+    this.countCallbacks = new Map();
+    this.listeners = new Map();
+
+    // NIP-45: null until we know whether the relay answers COUNT
+    this.supportsCount = null;
+
+    // Events dropped from this relay, by reason
+    this.rejectedEvents = { invalid: 0, mismatch: 0, overLimit: 0 };
+
+    // Reconnection settings
+    this.autoReconnect = options.reconnect !== false;
+    this.reconnectBaseDelay = options.reconnectBaseDelay || RECONNECT_BASE_DELAY;
+    this.reconnectMaxDelay = options.reconnectMaxDelay || RECONNECT_MAX_DELAY;
+    this.reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._closed = false;
+
+    // NIP-42 authentication. `onauth` signs an event template and
+    // `confirmAuth` asks the user for relays with the 'ask' policy.
+    this.onauth = options.onauth || null;
+    this.confirmAuth = options.confirmAuth || defaultConfirmAuth;
+    this.getAuthPolicy = options.getAuthPolicy || getAuthPolicy;
+    this.challenge = null;
+    this.authenticated = false;
+    this._authPromise = null;
+    this._authConsent = null;
+  }
+
+  /**
+   * Listen for connection-state events: 'status', 'connect', 'disconnect',
+   * 'reconnecting', 'error' and 'challenge' (NIP-42). Returns a function that removes the listener.
+   */
+  on(type, callback) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(callback);
+    return () => this.listeners.get(type)?.delete(callback);
+  }
+
+  _emit(type, ...args) {
+    const callbacks = this.listeners.get(type);
+    if (!callbacks) return;
+    for (const callback of callbacks) {
+      try {
+        callback(...args);
+      } catch (e) {
+        console.error(`Relay ${type} listener failed:`, e);
+      }
+    }
+  }
+
+  _setStatus(status, detail = {}) {
+    this.status = status;
+    this._emit('status', status, detail);
   }
 
   /**
@@ -44,30 +170,60 @@ export class Relay {
     if (this.status === 'connected') return Promise.resolve();
     if (this.status === 'connecting') return this._connectionPromise;
 
-    this.status = 'connecting';
+    // An explicit connect re-arms reconnection after close()
+    this._closed = false;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    this._setStatus('connecting');
 
     this._connectionPromise = new Promise((resolve, reject) => {
+      let opened = false;
+      this._abortConnect = () => {
+        if (!opened) reject(new Error('Relay connection closed'));
+      };
+
       try {
-        this.ws = new WebSocket(this.url);
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
 
-        this.ws.onopen = () => {
-          this.status = 'connected';
+        ws.onopen = () => {
+          if (this.ws !== ws) return;
+          opened = true;
+          this.reconnectAttempts = 0;
+          // Challenges are only valid for the connection they were sent on
+          this.challenge = null;
+          this.authenticated = false;
+          this._authPromise = null;
+          this._setStatus('connected');
           console.log(`Connected to relay: ${this.url}`);
+          this._emit('connect');
+          this._replaySubscriptions();
           resolve();
         };
 
-        this.ws.onclose = () => {
-          this.status = 'disconnected';
+        ws.onclose = () => {
+          // Ignore sockets we've already replaced or closed on purpose
+          if (this.ws !== ws) return;
+          this.ws = null;
+          this._setStatus('disconnected');
           console.log(`Disconnected from relay: ${this.url}`);
+          this._emit('disconnect');
+          this._rejectPendingPublishes(new Error('Relay connection lost'));
+
+          if (!opened) reject(new Error(`Could not connect to ${this.url}`));
+          if (this.autoReconnect && !this._closed) this._scheduleReconnect();
         };
 
-        this.ws.onerror = (error) => {
-          this.status = 'error';
+        ws.onerror = (error) => {
+          if (this.ws !== ws) return;
+          this._setStatus('error');
           console.error(`Relay error (${this.url}):`, error);
-          reject(error);
+          this._emit('error', error);
+          if (!opened) reject(error);
         };
 
-        this.ws.onmessage = (msg) => {
+        ws.onmessage = (msg) => {
           try {
             const data = JSON.parse(msg.data);
             this._handleMessage(data);
@@ -76,7 +232,7 @@ export class Relay {
           }
         };
       } catch (error) {
-        this.status = 'error';
+        this._setStatus('error');
         reject(error);
       }
     });
@@ -84,6 +240,60 @@ export class Relay {
     return this._connectionPromise;
   }
 
+  /**
+   * Schedule a reconnect using exponential backoff with jitter
+   */
+  _scheduleReconnect() {
+    if (this._reconnectTimer) return;
+
+    const backoff = Math.min(
+      this.reconnectMaxDelay,
+      this.reconnectBaseDelay * 2 ** this.reconnectAttempts
+    );
+    // "Equal jitter": wait between half and the full backoff so relays
+    // aren't hit by every tab at the same moment
+    const delay = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    this.reconnectAttempts++;
+
+    this._setStatus('reconnecting', { attempt: this.reconnectAttempts, delay });
+    this._emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      // Failures are handled by onclose scheduling the next attempt
+      this.connect().catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * Re-issue every open subscription after (re)connecting. Subscriptions that
+   * already reached EOSE only ask for events newer than the last one seen.
+   */
+  _replaySubscriptions() {
+    for (const [subId, sub] of this.subscriptions) {
+      sub.authRetried = false;
+      this._sendReq(subId);
+    }
+  }
+
+  _sendReq(subId) {
+    const sub = this.subscriptions.get(subId);
+    if (!sub || this.status !== 'connected') return;
+
+    let filters = sub.filters;
+    if (sub.eose && sub.lastEventAt) {
+      filters = filters.map(filter => ({
+        ...filter,
+        since: Math.max(filter.since || 0, sub.lastEventAt),
+      }));
+    } else {
+      // Stored events are sent again from scratch
+      sub.received = 0;
+    }
+
+    this.ws.send(JSON.stringify(['REQ', subId, ...filters]));
+  }
+
   /**
    * Handle incoming relay messages
    */
@@ -93,6 +303,13 @@ export class Relay {
     switch (type) {
       case 'EVENT': {
         const [subId, event] = rest;
+        const sub = this.subscriptions.get(subId);
+        if (!sub || !this._acceptEvent(sub, event)) break;
+
+        if (event.created_at > sub.lastEventAt) {
+          sub.lastEventAt = event.created_at;
+        }
+
         const callback = this.eventCallbacks.get(subId);
         if (callback) callback(event);
         break;
@@ -100,14 +317,71 @@ export class Relay {
 
       case 'EOSE': {
         const [subId] = rest;
+        const sub = this.subscriptions.get(subId);
+        // Replayed subscriptions send EOSE again; only report the first one
+        if (!sub || sub.eose) break;
+        sub.eose = true;
+
         const callback = this.eoseCallbacks.get(subId);
         if (callback) callback();
         break;
       }
 
       case 'OK': {
-        const [eventId, accepted, message] = rest;
-        console.log(`Event ${eventId} ${accepted ? 'accepted' : 'rejected'}: ${message}`);
+        const [eventId, accepted, message = ''] = rest;
+        const pending = this.publishCallbacks.get(eventId);
+        if (!pending) break;
+
+        clearTimeout(pending.timer);
+        this.publishCallbacks.delete(eventId);
+        pending.resolve({
+          accepted: accepted === true,
+          ...parseMachineReadablePrefix(message),
+          raw: message,
+        });
+        break;
+      }
+
+      case 'COUNT': {
+        const [subId, payload] = rest;
+        const pending = this.countCallbacks.get(subId);
+        if (!pending || typeof payload?.count !== 'number') break;
+
+        this.supportsCount = true;
+        clearTimeout(pending.timer);
+        this.countCallbacks.delete(subId);
+        pending.resolve({ count: payload.count, approximate: payload.approximate === true });
+        break;
+      }
+
+      case 'CLOSED': {
+        const [subId, reason = ''] = rest;
+        const pendingCount = this.countCallbacks.get(subId);
+        if (pendingCount) {
+          clearTimeout(pendingCount.timer);
+          this.countCallbacks.delete(subId);
+          pendingCount.fallback(reason);
+          break;
+        }
+
+        this._handleClosed(subId, reason);
+        break;
+      }
+
+      case 'AUTH': {
+        const [challenge] = rest;
+        if (typeof challenge !== 'string') break;
+
+        this.challenge = challenge;
+        this.authenticated = false;
+        this._authPromise = null;
+        this._emit('challenge', challenge);
+
+        if (this.onauth && this.getAuthPolicy(this.url) === 'auto') {
+          this.authenticate().catch(err => {
+            console.error(`Failed to authenticate to ${this.url}:`, err);
+          });
+        }
         break;
       }
 
@@ -123,26 +397,175 @@ export class Relay {
   }
 
   /**
-   * Subscribe to events matching filters
+   * Handle a subscription closed by the relay. Subscriptions refused with
+   * auth-required are retried once after authenticating; otherwise the
+   * subscription is dropped and its onClose callback gets the parsed reason.
+   */
+  _handleClosed(subId, reason) {
+    const sub = this.subscriptions.get(subId);
+    if (!sub) return;
+
+    const parsed = { ...parseMachineReadablePrefix(reason), raw: reason };
+
+    if (parsed.prefix === 'auth-required' && !sub.authRetried) {
+      sub.authRetried = true;
+      this._ensureAuth().then(ok => {
+        if (!this.subscriptions.has(subId)) return;
+        if (ok) {
+          this._sendReq(subId);
+        } else {
+          this._closeSubscription(subId, parsed);
+        }
+      });
+      return;
+    }
+
+    this._closeSubscription(subId, parsed);
+  }
+
+  _closeSubscription(subId, reason) {
+    const sub = this.subscriptions.get(subId);
+    console.log(`Subscription ${subId} closed by ${this.url}: ${reason.raw}`);
+    this._forgetSubscription(subId);
+
+    if (sub?.onClose) {
+      try {
+        sub.onClose(reason);
+      } catch (e) {
+        console.error('Subscription onClose callback failed:', e);
+      }
+    }
+  }
+
+  _forgetSubscription(subId) {
+    this.subscriptions.delete(subId);
+    this.eventCallbacks.delete(subId);
+    this.eoseCallbacks.delete(subId);
+  }
+
+  /**
+   * Answer the current AUTH challenge with a signed kind 22242 event.
+   * Resolves once the relay accepts it.
+   */
+  authenticate() {
+    if (this.authenticated) return Promise.resolve();
+    if (this._authPromise) return this._authPromise;
+    if (!this.onauth) return Promise.reject(new Error('No signer available for relay auth'));
+    if (!this.challenge) return Promise.reject(new Error(`${this.url} has not sent an auth challenge`));
+
+    const challenge = this.challenge;
+    const authPromise = (async () => {
+      const authEvent = await this.onauth(createAuthEvent(this.url, challenge));
+      const result = await this._sendAndWaitForOk(['AUTH', authEvent], authEvent.id);
+
+      if (!result.accepted) {
+        throw new Error(`Auth rejected by ${this.url}: ${result.raw}`);
+      }
+      if (this.challenge === challenge) this.authenticated = true;
+    })();
+
+    this._authPromise = authPromise;
+    authPromise.catch(() => {
+      if (this._authPromise === authPromise) this._authPromise = null;
+    });
+    return authPromise;
+  }
+
+  /**
+   * Authenticate if this relay's auth policy allows it.
+   * Resolves with whether we're authenticated afterwards.
+   */
+  async _ensureAuth() {
+    if (this.authenticated) return true;
+    if (!this.onauth) return false;
+
+    const policy = this.getAuthPolicy(this.url);
+    if (policy === 'never') return false;
+
+    // Some relays refuse first and only send the challenge afterwards
+    if (!this.challenge) {
+      await new Promise(resolve => {
+        const timer = setTimeout(done, AUTH_CHALLENGE_TIMEOUT);
+        const off = this.on('challenge', done);
+        function done() {
+          clearTimeout(timer);
+          off();
+          resolve();
+        }
+      });
+      if (!this.challenge) return false;
+    }
+
+    if (policy === 'ask') {
+      if (!this._authConsent) this._authConsent = Promise.resolve(this.confirmAuth(this.url));
+      if (!(await this._authConsent)) return false;
+    }
+
+    try {
+      await this.authenticate();
+      return true;
+    } catch (err) {
+      console.error(`Failed to authenticate to ${this.url}:`, err);
+      return false;
+    }
+  }
+
+  /**
+   * Check an incoming event against the subscription's filters and its
+   * signature. Rejected events are counted and dropped.
    */
-  subscribe(filters, onEvent, onEose) {
+  _acceptEvent(sub, event) {
+    let reason = null;
+
+    if (!event || typeof event !== 'object' || typeof event.id !== 'string') {
+      reason = 'invalid';
+    } else if (!Array.isArray(event.tags) || !matchFilters(sub.filters, event)) {
+      reason = 'mismatch';
+    } else if (!sub.eose && sub.received >= sub.limit) {
+      reason = 'overLimit';
+    } else if (!verifyEventCached(event)) {
+      reason = 'invalid';
+    }
+
+    if (reason) {
+      this.rejectedEvents[reason]++;
+      console.warn(`Dropped event from ${this.url} (${reason}):`, event?.id);
+      return false;
+    }
+
+    if (!sub.eose) sub.received++;
+    return true;
+  }
+
+  /**
+   * Subscribe to events matching filters.
+   * `options.onClose(reason)` is called if the relay ends the subscription
+   * with CLOSED; `reason` is { prefix, message, raw }.
+   */
+  subscribe(filters, onEvent, onEose, options = {}) {
     const subId = generateSubId();
 
     this.eventCallbacks.set(subId, onEvent);
     if (onEose) this.eoseCallbacks.set(subId, onEose);
 
-    const message = JSON.stringify(['REQ', subId, ...filters]);
+    this.subscriptions.set(subId, {
+      filters,
+      onEvent,
+      onEose,
+      onClose: options.onClose || null,
+      eose: false,
+      lastEventAt: 0,
+      received: 0,
+      limit: getFilterLimit(filters),
+    });
 
     if (this.status === 'connected') {
-      this.ws.send(message);
-    } else {
-      this.connect().then(() => {
-        this.ws.send(message);
-      });
+      this._sendReq(subId);
+    } else if (this.status !== 'connecting') {
+      // The REQ is sent from onopen, along with any other pending subscriptions
+      this.connect().catch(() => {});
     }
 
-    this.subscriptions.set(subId, { filters, onEvent, onEose });
-
     return subId;
   }
 
@@ -155,41 +578,205 @@ export class Relay {
       this.ws.send(message);
     }
 
-    this.subscriptions.delete(subId);
-    this.eventCallbacks.delete(subId);
-    this.eoseCallbacks.delete(subId);
+    this._forgetSubscription(subId);
   }
 
   /**
-   * Publish an event to the relay
+   * Publish an event to the relay.
+   * Resolves with { accepted, prefix, message, raw } from the relay's OK,
+   * rejects if the relay doesn't answer within `timeout` ms.
    */
-  async publish(event) {
+  async publish(event, timeout = PUBLISH_TIMEOUT) {
     await this.connect();
-    const message = JSON.stringify(['EVENT', event]);
-    this.ws.send(message);
+
+    const result = await this._sendAndWaitForOk(['EVENT', event], event.id, timeout);
+
+    // Retry once if the relay wants us to authenticate first
+    if (!result.accepted && result.prefix === 'auth-required' && await this._ensureAuth()) {
+      return this._sendAndWaitForOk(['EVENT', event], event.id, timeout);
+    }
+
+    return result;
+  }
+
+  /**
+   * Send an EVENT or AUTH message and wait for the matching OK
+   */
+  _sendAndWaitForOk(message, eventId, timeout = PUBLISH_TIMEOUT) {
+    // A second send of the same event waits on the same OK
+    const existing = this.publishCallbacks.get(eventId);
+    if (existing) return existing.promise;
+
+    if (this.status !== 'connected') {
+      return Promise.reject(new Error(`Not connected to ${this.url}`));
+    }
+
+    const pending = {};
+    pending.promise = new Promise((resolve, reject) => {
+      pending.resolve = resolve;
+      pending.reject = reject;
+      pending.timer = setTimeout(() => {
+        this.publishCallbacks.delete(eventId);
+        reject(new Error(`Publish timed out after ${timeout}ms`));
+      }, timeout);
+    });
+    this.publishCallbacks.set(eventId, pending);
+
+    this.ws.send(JSON.stringify(message));
+    return pending.promise;
+  }
+
+  /**
+   * Count events matching filters (NIP-45). Resolves with
+   * { count, approximate }. Relays that refuse or ignore COUNT are asked with
+   * a normal REQ instead and the returned events are counted, only those
+   * passing `options.match(event)` if given. A relay's own COUNT answer
+   * can't be checked that way.
+   */
+  async count(filters, options = {}) {
+    const { timeout = COUNT_TIMEOUT, match = null } = options;
+    if (this.supportsCount === false) return this._countByFetching(filters, match);
+
+    await this.connect();
+    const subId = generateSubId();
+
+    return new Promise((resolve, reject) => {
+      const fallback = (reason) => {
+        console.log(`COUNT not answered by ${this.url} (${reason}), fetching events instead`);
+        this._countByFetching(filters, match).then(resolve, reject);
+      };
+
+      const timer = setTimeout(() => {
+        this.countCallbacks.delete(subId);
+        // Relays without NIP-45 usually just ignore the message
+        if (this.supportsCount === null) this.supportsCount = false;
+        fallback('timeout');
+      }, timeout);
+
+      this.countCallbacks.set(subId, { resolve, reject, fallback, timer });
+      this.ws.send(JSON.stringify(['COUNT', subId, ...filters]));
+    });
+  }
+
+  /**
+   * Count events by fetching them with a REQ, for relays without COUNT
+   */
+  _countByFetching(filters, match = null, timeout = EOSE_TIMEOUT) {
+    return new Promise(resolve => {
+      const ids = new Set();
+      let done = false;
+
+      const finish = (approximate) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        this.unsubscribe(subId);
+        resolve({ count: ids.size, approximate });
+      };
+
+      const subId = this.subscribe(
+        filters,
+        (event) => {
+          if (!match || match(event)) ids.add(event.id);
+        },
+        () => finish(false),
+        { onClose: () => finish(true) }
+      );
+      // Without EOSE we can't tell if we've seen everything
+      const timer = setTimeout(() => finish(true), timeout);
+    });
   }
 
   /**
-   * Close the relay connection
+   * Reject publishes still waiting for an OK
+   */
+  _rejectPendingPublishes(error) {
+    for (const pending of this.publishCallbacks.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this.publishCallbacks.clear();
+  }
+
+  /**
+   * Close the relay connection for good (no automatic reconnect)
    */
   close() {
+    this._closed = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
     if (this.ws) {
-      this.ws.close();
+      const ws = this.ws;
       this.ws = null;
+      ws.close();
     }
-    this.status = 'disconnected';
+    if (this._abortConnect) this._abortConnect();
+    this._setStatus('disconnected');
     this.subscriptions.clear();
     this.eventCallbacks.clear();
     this.eoseCallbacks.clear();
+    this._rejectPendingPublishes(new Error('Relay connection closed'));
+
+    for (const pending of this.countCallbacks.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Relay connection closed'));
+    }
+    this.countCallbacks.clear();
   }
 }
 
+/**
+ * Summarize per-relay publish results into a message for the user
+ */
+export function summarizePublishResults(results) {
+  const accepted = results.filter(r => r.accepted);
+  const lines = [`Accepted by ${accepted.length} of ${results.length} relays`];
+
+  for (const result of results) {
+    if (result.accepted) {
+      const note = result.prefix === 'duplicate' ? ' (already had it)' : '';
+      lines.push(`✓ ${result.relay}${note}`);
+    } else {
+      const reason = result.prefix ? `${result.prefix}: ${result.message}` : result.message;
+      lines.push(`✗ ${result.relay}${reason ? ` - ${reason}` : ''}`);
+    }
+  }
+
+  return {
+    ok: accepted.length > 0,
+    accepted: accepted.length,
+    total: results.length,
+    text: lines.join('\n'),
+  };
+}
+
 /**
  * Relay pool for managing multiple relay connections
  */
 export class RelayPool {
-  constructor() {
+  constructor(options = {}) {
+    const { store = null, seenOnLimit = SEEN_ON_CACHE_SIZE, ...relayOptions } = options;
     this.relays = new Map();
+    this.relayOptions = relayOptions;
+
+    // Optional EventStore that verified events are written to
+    this.store = store;
+    this.statusListeners = new Set();
+
+    // Event id -> Set of relay URLs that sent it, least recently seen first
+    this.seenOn = new Map();
+    this.seenOnLimit = seenOnLimit;
+  }
+
+  /**
+   * Listen for connection-state changes of every relay in the pool.
+   * The callback gets (url, status, detail). Returns a function that
+   * removes the listener.
+   */
+  onRelayStatus(callback) {
+    this.statusListeners.add(callback);
+    return () => this.statusListeners.delete(callback);
   }
 
   /**
@@ -201,7 +788,10 @@ export class RelayPool {
       return this.relays.get(normalizedUrl);
     }
 
-    const relay = new Relay(normalizedUrl);
+    const relay = new Relay(normalizedUrl, this.relayOptions);
+    relay.on('status', (status, detail) => {
+      for (const callback of this.statusListeners) callback(relay.url, status, detail);
+    });
     this.relays.set(normalizedUrl, relay);
     return relay;
   }
@@ -219,35 +809,249 @@ export class RelayPool {
   }
 
   /**
-   * Subscribe to events from all relays in the pool
+   * Get the URLs of the relays an event was received from
    */
-  subscribe(filters, onEvent, onEose) {
-    const subs = [];
+  getSeenOn(eventId) {
+    return [...(this.seenOn.get(eventId) || [])];
+  }
 
-    for (const relay of this.relays.values()) {
-      const subId = relay.subscribe(filters, onEvent, onEose);
-      subs.push({ relay: relay.url, subId });
+  /**
+   * Record that `url` sent `eventId`, dropping the least recently seen
+   * events once more than `seenOnLimit` are tracked
+   */
+  _addSeenOn(eventId, url) {
+    const urls = this.seenOn.get(eventId) || new Set();
+    this.seenOn.delete(eventId);
+    this.seenOn.set(eventId, urls.add(url));
+
+    if (this.seenOn.size > this.seenOnLimit) {
+      this.seenOn.delete(this.seenOn.keys().next().value);
+    }
+  }
+
+  /**
+   * Subscribe to events from all relays in the pool (or only `options.relays`).
+   * See subscribeMap for the callbacks, options and returned handle.
+   */
+  subscribe(filters, onEvent, onEose, options = {}) {
+    const urls = options.relays || [...this.relays.keys()];
+    const requests = urls.map(url => ({ url, filters }));
+    return this.subscribeMap(requests, onEvent, onEose, options);
+  }
+
+  /**
+   * Subscribe with different filters per relay, given as [{ url, filters }].
+   *
+   * onEvent(event, relayUrl) is called once per event id, whichever relay
+   * sends it first. onEose() is called once, when every relay has sent EOSE
+   * or CLOSED, or `options.eoseTimeout` ms have passed. With
+   * `options.closeOnEose` the subscription closes itself at that point.
+   * `options.onClose(reasons)` is called once every relay has closed the
+   * subscription, with one { relay, prefix, message, raw } per relay.
+   * With `options.cacheFirst` matching events from the pool's store are
+   * delivered first (with relayUrl null), then the relays are asked.
+   *
+   * Returns a handle: { subs, seen, eosedBy, closedBy, close() }
+   */
+  subscribeMap(requests, onEvent, onEose, options = {}) {
+    const { closeOnEose = false, eoseTimeout = EOSE_TIMEOUT, onClose = null, cacheFirst = false } = options;
+    const pending = new Set();
+    let eoseFired = false;
+    let eoseTimer = null;
+    let cacheLoading = null;
+
+    const handle = {
+      subs: [],
+      seen: new Set(),
+      // Relays that sent EOSE, i.e. answered with everything they store
+      eosedBy: new Set(),
+      // Relay URL -> reason, for relays that ended the subscription
+      closedBy: new Map(),
+      closed: false,
+      close: () => {
+        if (handle.closed) return;
+        handle.closed = true;
+        clearTimeout(eoseTimer);
+        for (const { relay, subId } of handle.subs) {
+          this.relays.get(relay)?.unsubscribe(subId);
+        }
+      },
+    };
+
+    const fireEose = () => {
+      if (eoseFired || handle.closed) return;
+      // Cached events count as stored events, so EOSE waits for them
+      if (cacheLoading) return cacheLoading.then(fireEose);
+      eoseFired = true;
+      clearTimeout(eoseTimer);
+      if (onEose) onEose();
+      if (closeOnEose) handle.close();
+    };
+
+    const handleEvent = (event, url) => {
+      if (handle.closed) return;
+
+      this._addSeenOn(event.id, url);
+
+      if (handle.seen.has(event.id)) return;
+      handle.seen.add(event.id);
+      if (this.store) {
+        this.store.saveEvent(event).catch(err => console.error('Failed to store event:', err));
+      }
+      onEvent(event, url);
+    };
+
+    const handleRelayClosed = (url, reason) => {
+      handle.closedBy.set(url, reason);
+      pending.delete(url);
+      if (pending.size === 0) fireEose();
+      if (handle.closedBy.size < handle.subs.length) return;
+
+      // Every relay ended it, so nothing more will arrive
+      handle.closed = true;
+      clearTimeout(eoseTimer);
+      if (onClose) {
+        onClose([...handle.closedBy].map(([relay, reason]) => ({ relay, ...reason })));
+      }
+    };
+
+    if (cacheFirst && this.store) {
+      cacheLoading = this.store.query(requests.flatMap(request => request.filters))
+        .then(events => {
+          for (const event of events) {
+            if (handle.closed || handle.seen.has(event.id)) continue;
+            handle.seen.add(event.id);
+            onEvent(event, null);
+          }
+        })
+        .catch(err => console.error('Failed to read events from store:', err))
+        .finally(() => { cacheLoading = null; });
     }
 
-    return subs;
+    // URLs that only differ in spelling are one relay: send it one REQ
+    // with all their filters
+    const filtersByRelay = new Map();
+    for (const { url, filters } of requests) {
+      const relayUrl = normalizeURL(url);
+      const merged = filtersByRelay.get(relayUrl) || [];
+      for (const filter of filters) {
+        if (!merged.some(other => JSON.stringify(other) === JSON.stringify(filter))) merged.push(filter);
+      }
+      filtersByRelay.set(relayUrl, merged);
+    }
+
+    for (const [url, filters] of filtersByRelay) {
+      const relay = this.addRelay(url);
+      pending.add(relay.url);
+
+      const subId = relay.subscribe(
+        filters,
+        (event) => handleEvent(event, relay.url),
+        () => {
+          handle.eosedBy.add(relay.url);
+          pending.delete(relay.url);
+          if (pending.size === 0) fireEose();
+        },
+        { onClose: (reason) => handleRelayClosed(relay.url, reason) }
+      );
+      handle.subs.push({ relay: relay.url, subId });
+    }
+
+    if (pending.size === 0) {
+      setTimeout(fireEose, 0);
+    } else {
+      eoseTimer = setTimeout(fireEose, eoseTimeout);
+    }
+
+    return handle;
   }
 
   /**
-   * Publish an event to all relays in the pool
+   * Count events matching filters on every relay in the pool (or only
+   * `options.relays`). Relays hold overlapping sets of events, so the
+   * largest count is the best estimate. `options.match` is passed on to
+   * Relay.count. Resolves with
+   * { count, approximate, relays: [{ relay, count, approximate, error }] }
    */
-  async publish(event) {
+  async count(filters, options = {}) {
+    const urls = options.relays || [...this.relays.keys()];
+
+    const results = await Promise.all(urls.map(url => {
+      const relay = this.addRelay(url);
+      return relay.count(filters, { match: options.match })
+        .then(result => ({ relay: relay.url, ...result, error: null }))
+        .catch(err => ({ relay: relay.url, count: 0, approximate: true, error: err }));
+    }));
+
+    const answered = results.filter(r => !r.error);
+    const best = answered.reduce((max, r) => (r.count > max.count ? r : max), { count: 0, approximate: true });
+
+    return {
+      count: best.count,
+      approximate: answered.length === 0 || best.approximate || answered.length < urls.length,
+      relays: results,
+    };
+  }
+
+  /**
+   * Fetch all events matching filters, resolving once EOSE is reached
+   */
+  querySync(filters, options = {}) {
+    return new Promise(resolve => {
+      const events = [];
+      this.subscribe(
+        filters,
+        (event) => events.push(event),
+        () => resolve(events),
+        { ...options, closeOnEose: true }
+      );
+    });
+  }
+
+  /**
+   * Fetch the newest event matching a filter, or null
+   */
+  async get(filter, options = {}) {
+    const events = await this.querySync([{ ...filter, limit: 1 }], options);
+    if (events.length === 0) return null;
+
+    events.sort((a, b) => b.created_at - a.created_at);
+    return events[0];
+  }
+
+  /**
+   * Publish an event to all relays in the pool (or only `options.relays`).
+   * Resolves with one result per relay:
+   * { relay, accepted, prefix, message, error }
+   */
+  async publish(event, options = {}) {
     const promises = [];
+    const relays = options.relays
+      ? [...new Set(options.relays.map(url => this.addRelay(url)))]
+      : [...this.relays.values()];
 
-    for (const relay of this.relays.values()) {
+    for (const relay of relays) {
       promises.push(
-        relay.publish(event).catch(err => {
-          console.error(`Failed to publish to ${relay.url}:`, err);
-          return { relay: relay.url, error: err };
-        })
+        relay.publish(event)
+          .then(result => ({ relay: relay.url, ...result, error: null }))
+          .catch(err => {
+            console.error(`Failed to publish to ${relay.url}:`, err);
+            return {
+              relay: relay.url,
+              accepted: false,
+              prefix: null,
+              message: err.message || String(err),
+              error: err,
+            };
+          })
       );
     }
 
-    return Promise.all(promises);
+    const results = await Promise.all(promises);
+    if (this.store && results.some(r => r.accepted)) {
+      this.store.saveEvent(event).catch(err => console.error('Failed to store event:', err));
+    }
+    return results;
   }
 
   /**
@@ -0,0 +1,267 @@
+// Safe DOM rendering for notes. Everything taken from an event is inserted
+// as text nodes or as attributes of known-safe URLs, never as HTML.
+
+import { decodeInvoice, isInvoiceExpired } from './bolt11.js';
+import { parseContent } from './content.js';
+import { formatSats } from './nip57.js';
+import { hasListItem } from './nip51.js';
+import { formatNip05, verifyNip05 } from './nip05.js';
+import { naddrEncode, neventEncode, npubEncode, nprofileEncode } from './nip19.js';
+
+/**
+ * Create an element with an optional class and text
+ */
+function createElement(tag, className = '', text = '') {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+}
+
+/**
+ * Link to a profile page, carrying relay hints when we have them
+ */
+export function profileUrl(pubkey, relays = []) {
+  const id = relays.length > 0 ? nprofileEncode({ pubkey, relays }) : npubEncode(pubkey);
+  return `/profile?pubkey=${id}`;
+}
+
+/**
+ * Link to a thread page for an event pointer ({ id, relays, author, kind })
+ */
+export function threadUrl(pointer) {
+  return `/thread?id=${neventEncode(pointer)}`;
+}
+
+function shortNpub(pubkey) {
+  return npubEncode(pubkey).slice(0, 12) + '…';
+}
+
+function renderMention(segment, options) {
+  const { entity, data } = segment;
+
+  if (entity === 'npub' || entity === 'nprofile') {
+    const pubkey = entity === 'npub' ? data : data.pubkey;
+    const link = createElement('a', 'mention', `@${shortNpub(pubkey)}`);
+    link.href = profileUrl(pubkey, entity === 'nprofile' ? data.relays : []);
+    return link;
+  }
+
+  if (entity === 'naddr') {
+    const link = createElement('a', 'mention', `${segment.uri.slice(0, 24)}…`);
+    link.href = `/thread?id=${naddrEncode(data)}`;
+    return link;
+  }
+
+  const pointer = entity === 'note' ? { id: data, relays: [] } : data;
+  const link = createElement('a', 'mention', `${segment.uri.slice(0, 24)}…`);
+  link.href = threadUrl(pointer);
+
+  // Quote the note inline, one level deep
+  if (!options.loadEvent || options.depth > 0) return link;
+
+  const quote = createElement('div', 'note-quote');
+  quote.appendChild(link);
+  options.loadEvent(pointer).then((event) => {
+    if (!event) return;
+    quote.replaceChildren(renderNote(event, { ...options, depth: options.depth + 1 }));
+  }).catch((e) => {
+    console.error('Failed to load quoted note:', e);
+  });
+  return quote;
+}
+
+/**
+ * Preview a Lightning invoice with its amount, description and expiry.
+ * Invoices that don't decode or verify are shown as plain text.
+ */
+function renderInvoice(invoice) {
+  let decoded;
+  try {
+    decoded = decodeInvoice(invoice);
+  } catch (e) {
+    return document.createTextNode(invoice);
+  }
+
+  const amount = decoded.amount === null ? 'any amount' : formatSats(Math.floor(decoded.amount / 1000));
+  const label = decoded.network === 'bitcoin' ? amount : `${amount} (${decoded.network})`;
+  const preview = createElement('div', 'invoice');
+  preview.appendChild(createElement('span', 'invoice-amount', `⚡ ${label}`));
+  if (decoded.description) preview.appendChild(createElement('span', 'invoice-description', decoded.description));
+
+  if (isInvoiceExpired(decoded)) {
+    preview.classList.add('expired');
+    preview.appendChild(createElement('span', 'invoice-status', 'Expired'));
+  } else {
+    const pay = createElement('a', 'invoice-status', 'Pay');
+    pay.href = `lightning:${decoded.paymentRequest}`;
+    preview.appendChild(pay);
+  }
+  return preview;
+}
+
+function renderSegment(segment, options) {
+  switch (segment.type) {
+    case 'text':
+      return document.createTextNode(segment.value);
+
+    case 'link': {
+      const link = createElement('a', '', segment.url);
+      link.href = segment.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer nofollow';
+      return link;
+    }
+
+    case 'image': {
+      const img = createElement('img', 'note-media');
+      img.src = segment.url;
+      img.alt = '';
+      img.loading = 'lazy';
+      img.referrerPolicy = 'no-referrer';
+      return img;
+    }
+
+    case 'video': {
+      const video = createElement('video', 'note-media');
+      video.src = segment.url;
+      video.controls = true;
+      video.preload = 'metadata';
+      return video;
+    }
+
+    case 'mention':
+      return renderMention(segment, options);
+
+    case 'hashtag':
+      return createElement('span', 'hashtag', `#${segment.tag}`);
+
+    case 'invoice':
+      return renderInvoice(segment.invoice);
+
+    default:
+      return document.createTextNode('');
+  }
+}
+
+/**
+ * Render note content into a DocumentFragment.
+ * options.loadEvent(pointer) -> Promise<event|null> enables quoted notes.
+ */
+export function renderContent(event, options = {}) {
+  const fragment = document.createDocumentFragment();
+  const renderOptions = { depth: 0, ...options };
+
+  for (const segment of parseContent(event.content, event.tags)) {
+    fragment.appendChild(renderSegment(segment, renderOptions));
+  }
+  return fragment;
+}
+
+/**
+ * Show a verified NIP-05 badge in `container` once the identifier checks out
+ */
+export function renderNip05Badge(container, pubkey, identifier) {
+  container.replaceChildren();
+  if (!identifier) return;
+
+  verifyNip05(pubkey, identifier).then((verified) => {
+    if (!verified) return;
+    container.replaceChildren(createElement('span', 'nip05-badge', `✓ ${formatNip05(identifier)}`));
+  });
+}
+
+/**
+ * Fill a rendered note's author header from parsed kind 0 metadata
+ */
+export function applyProfile(note, profile) {
+  const name = profile.display_name || profile.name;
+  if (name) note.querySelector('.note-name').textContent = name;
+  renderNip05Badge(note.querySelector('.note-nip05'), note.dataset.pubkey, profile.nip05);
+}
+
+/**
+ * Render a note card: author header and content. Callers append their
+ * own actions. Takes the same options as renderContent, plus
+ * options.profile (parsed kind 0) for the author's name and NIP-05 badge.
+ */
+export function renderNote(event, options = {}) {
+  const note = createElement('div', 'note');
+  note.dataset.id = event.id;
+  note.dataset.pubkey = event.pubkey;
+
+  const header = createElement('div', 'note-header');
+  header.appendChild(createElement('div', 'note-avatar', event.pubkey.slice(0, 2)));
+
+  const author = createElement('div', 'note-author');
+  const pubkey = createElement('a', 'note-pubkey', `${event.pubkey.slice(0, 16)}...`);
+  pubkey.href = profileUrl(event.pubkey);
+  author.append(createElement('div', 'note-name'), pubkey, createElement('span', 'note-nip05'));
+  header.appendChild(author);
+
+  const content = createElement('div', 'note-content');
+  content.appendChild(renderContent(event, options));
+
+  note.append(header, content);
+  if (options.profile) applyProfile(note, options.profile);
+  return note;
+}
+
+/**
+ * "Alice and 2 others reposted" header for a reposted note. getName(pubkey)
+ * returns a display name, if known.
+ */
+export function renderRepostHeader(pubkeys, getName = () => null) {
+  const [first] = pubkeys;
+  const header = createElement('div', 'repost-header', '🔁 ');
+
+  const link = createElement('a', '', getName(first) || shortNpub(first));
+  link.href = profileUrl(first);
+  header.appendChild(link);
+
+  const others = pubkeys.length - 1;
+  const suffix = others > 0 ? ` and ${others} other${others > 1 ? 's' : ''} reposted` : ' reposted';
+  header.appendChild(document.createTextNode(suffix));
+  return header;
+}
+
+/**
+ * Show on the bookmark action in `container` whether `eventId` is in the
+ * `bookmarks` list
+ */
+export function updateBookmarkAction(container, bookmarks, eventId) {
+  const action = container.querySelector('.bookmark-action');
+  const saved = hasListItem(bookmarks, ['e', eventId]);
+  action.classList.toggle('active', saved);
+  action.textContent = saved ? '🔖 Saved' : '🔖 Bookmark';
+}
+
+/**
+ * Render a reaction summary from ReactionTally.get() as a row of chips, our
+ * own reactions highlighted. Clicking a chip calls onReact(content, emoji)
+ * to react the same way.
+ */
+export function renderReactions(summary, onReact = null) {
+  const row = createElement('div', 'note-reactions');
+
+  for (const { content, type, emoji, count } of summary.reactions) {
+    const chip = createElement('span', 'reaction');
+    if (summary.own.has(content)) chip.classList.add('own');
+
+    if (type === 'custom') {
+      const img = createElement('img', 'reaction-emoji');
+      img.src = emoji.url;
+      img.alt = content;
+      img.title = content;
+      img.referrerPolicy = 'no-referrer';
+      chip.appendChild(img);
+    } else {
+      chip.appendChild(document.createTextNode(type === 'like' ? '❤️' : type === 'dislike' ? '👎' : content));
+    }
+    chip.appendChild(createElement('span', 'reaction-count', `${count}`));
+
+    if (onReact) chip.onclick = () => onReact(content, emoji);
+    row.appendChild(chip);
+  }
+  return row;
+}
@@ -0,0 +1,90 @@
+// Signers: one interface for every way the user's key can be held
+//
+// Every signer implements:
+//   getPublicKey()                  -> Promise<hex pubkey>
+//   signEvent(eventTemplate)        -> Promise<signed event>
+//   nip04Encrypt(pubkey, plaintext) -> Promise<ciphertext>
+//   nip04Decrypt(pubkey, payload)   -> Promise<plaintext>
+//   nip44Encrypt(pubkey, plaintext) -> Promise<payload>
+//   nip44Decrypt(pubkey, payload)   -> Promise<plaintext>
+
+import { schnorr } from '@noble/curves/secp256k1';
+import { bytesToHex } from '@noble/hashes/utils';
+import { finalizeEvent } from './events.js';
+import * as nip04 from './nip04.js';
+import * as nip44 from './nip44.js';
+
+/**
+ * Signer for a secret key held by this page
+ */
+export class LocalSigner {
+  constructor(secretKey) {
+    this.secretKey = secretKey;
+    this.pubkey = bytesToHex(schnorr.getPublicKey(secretKey));
+  }
+
+  async getPublicKey() {
+    return this.pubkey;
+  }
+
+  async signEvent(eventTemplate) {
+    return finalizeEvent(eventTemplate, this.secretKey);
+  }
+
+  async nip04Encrypt(pubkey, plaintext) {
+    return nip04.encrypt(this.secretKey, pubkey, plaintext);
+  }
+
+  async nip04Decrypt(pubkey, ciphertext) {
+    return nip04.decrypt(this.secretKey, pubkey, ciphertext);
+  }
+
+  async nip44Encrypt(pubkey, plaintext) {
+    return nip44.encrypt(plaintext, nip44.getConversationKey(this.secretKey, pubkey));
+  }
+
+  async nip44Decrypt(pubkey, payload) {
+    return nip44.decrypt(payload, nip44.getConversationKey(this.secretKey, pubkey));
+  }
+}
+
+/**
+ * Signer backed by a NIP-07 browser extension (window.nostr)
+ */
+export class ExtensionSigner {
+  get nostr() {
+    if (typeof window === 'undefined' || typeof window.nostr === 'undefined') {
+      throw new Error('Nostr extension not found');
+    }
+    return window.nostr;
+  }
+
+  async getPublicKey() {
+    if (!this.pubkey) this.pubkey = await this.nostr.getPublicKey();
+    return this.pubkey;
+  }
+
+  async signEvent(eventTemplate) {
+    return await this.nostr.signEvent(eventTemplate);
+  }
+
+  async nip04Encrypt(pubkey, plaintext) {
+    if (!this.nostr.nip04) throw new Error('Extension does not support NIP-04');
+    return await this.nostr.nip04.encrypt(pubkey, plaintext);
+  }
+
+  async nip04Decrypt(pubkey, ciphertext) {
+    if (!this.nostr.nip04) throw new Error('Extension does not support NIP-04');
+    return await this.nostr.nip04.decrypt(pubkey, ciphertext);
+  }
+
+  async nip44Encrypt(pubkey, plaintext) {
+    if (!this.nostr.nip44) throw new Error('Extension does not support NIP-44');
+    return await this.nostr.nip44.encrypt(pubkey, plaintext);
+  }
+
+  async nip44Decrypt(pubkey, payload) {
+    if (!this.nostr.nip44) throw new Error('Extension does not support NIP-44');
+    return await this.nostr.nip44.decrypt(pubkey, payload);
+  }
+}
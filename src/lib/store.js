@@ -0,0 +1,358 @@
+// Local event store backed by IndexedDB
+
+import { matchFilter } from './filter.js';
+
+const DB_NAME = 'nostr-events';
+const DB_VERSION = 1;
+const EVENTS = 'events';
+
+// NIP-09 deletion requests; kept here too so the store can honor them
+const DELETION_KIND = 5;
+
+/**
+ * Check if a kind is replaceable (only the newest per author is kept)
+ */
+export function isReplaceableKind(kind) {
+  return kind === 0 || kind === 3 || (kind >= 10000 && kind < 20000);
+}
+
+/**
+ * Check if a kind is parameterized replaceable (newest per author and `d` tag)
+ */
+export function isParameterizedReplaceableKind(kind) {
+  return kind >= 30000 && kind < 40000;
+}
+
+/**
+ * Check if a kind is ephemeral (never stored)
+ */
+export function isEphemeralKind(kind) {
+  return kind >= 20000 && kind < 30000;
+}
+
+/**
+ * Get the "kind:pubkey:d-tag" address of a replaceable event, or null
+ */
+export function getEventAddress(event) {
+  if (isReplaceableKind(event.kind)) {
+    return `${event.kind}:${event.pubkey}:`;
+  }
+  if (isParameterizedReplaceableKind(event.kind)) {
+    const dTag = event.tags.find(tag => tag[0] === 'd');
+    return `${event.kind}:${event.pubkey}:${dTag?.[1] || ''}`;
+  }
+  return null;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Build the record stored for an event: the event plus indexed helper fields
+ */
+function toRecord(event) {
+  const record = {
+    ...event,
+    // Single-letter tags are the ones relays index, so are we: "e:<id>"
+    _tags: event.tags
+      .filter(tag => tag[0]?.length === 1 && typeof tag[1] === 'string')
+      .map(tag => `${tag[0]}:${tag[1]}`),
+    _storedAt: Date.now(),
+  };
+
+  const address = getEventAddress(event);
+  if (address) record._address = address;
+
+  return record;
+}
+
+/**
+ * Strip the helper fields from a stored record
+ */
+function fromRecord(record) {
+  const { _tags, _storedAt, _address, ...event } = record;
+  return event;
+}
+
+/**
+ * Check whether `a` should replace `b` (newest wins, lowest id on ties)
+ */
+function isNewer(a, b) {
+  if (a.created_at !== b.created_at) return a.created_at > b.created_at;
+  return a.id < b.id;
+}
+
+/**
+ * IndexedDB event store with replaceable-event semantics
+ */
+export class EventStore {
+  constructor(name = DB_NAME) {
+    this.name = name;
+    this._dbPromise = null;
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   */
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(this.name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const events = db.createObjectStore(EVENTS, { keyPath: 'id' });
+      events.createIndex('pubkey', 'pubkey');
+      events.createIndex('kind', 'kind');
+      events.createIndex('created_at', 'created_at');
+      events.createIndex('tags', '_tags', { multiEntry: true });
+      events.createIndex('address', '_address', { unique: true });
+      events.createIndex('storedAt', '_storedAt');
+    };
+
+    this._dbPromise = promisify(request).catch(err => {
+      this._dbPromise = null;
+      throw err;
+    });
+    return this._dbPromise;
+  }
+
+  /**
+   * Store an event. Older versions of replaceable events are replaced and
+   * ephemeral events are ignored. Deletion requests remove the author's
+   * targeted events, and deleted events are not stored again. Resolves with
+   * whether it was stored.
+   */
+  async saveEvent(event) {
+    if (isEphemeralKind(event.kind)) return false;
+
+    const db = await this.open();
+    const tx = db.transaction(EVENTS, 'readwrite');
+    const store = tx.objectStore(EVENTS);
+    const done = transactionDone(tx);
+    let saved = false;
+
+    const existing = await promisify(store.get(event.id));
+    if (!existing && !(await this._isDeleted(store, event))) {
+      const address = getEventAddress(event);
+      const current = address ? await promisify(store.index('address').get(address)) : null;
+
+      if (!current || isNewer(event, current)) {
+        if (current) store.delete(current.id);
+        store.put(toRecord(event));
+        saved = true;
+      }
+    }
+
+    if (saved && event.kind === DELETION_KIND) await this._applyDeletion(store, event);
+
+    await done;
+    return saved;
+  }
+
+  /**
+   * Check for a stored deletion request by the event's author covering it
+   */
+  async _isDeleted(store, event) {
+    if (event.kind === DELETION_KIND) return false;
+
+    const index = store.index('tags');
+    const byAuthor = (record) => record.kind === DELETION_KIND && record.pubkey === event.pubkey;
+
+    const byId = await promisify(index.getAll(`e:${event.id}`));
+    if (byId.some(byAuthor)) return true;
+
+    const address = getEventAddress(event);
+    if (!address) return false;
+    const byAddress = await promisify(index.getAll(`a:${address}`));
+    return byAddress.some(record => byAuthor(record) && record.created_at >= event.created_at);
+  }
+
+  /**
+   * Remove the stored events a deletion request targets, if it is by their author
+   */
+  async _applyDeletion(store, deletion) {
+    for (const tag of deletion.tags) {
+      if (tag[0] === 'e' && typeof tag[1] === 'string') {
+        const record = await promisify(store.get(tag[1]));
+        if (record && record.pubkey === deletion.pubkey && record.kind !== DELETION_KIND) {
+          store.delete(record.id);
+        }
+      } else if (tag[0] === 'a' && typeof tag[1] === 'string') {
+        const record = await promisify(store.index('address').get(tag[1]));
+        if (record && record.pubkey === deletion.pubkey && record.created_at <= deletion.created_at) {
+          store.delete(record.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get a stored event by id
+   */
+  async getEvent(id) {
+    const db = await this.open();
+    const record = await promisify(db.transaction(EVENTS).objectStore(EVENTS).get(id));
+    return record ? fromRecord(record) : null;
+  }
+
+  /**
+   * Get the stored version of a replaceable event by "kind:pubkey:d-tag"
+   */
+  async getReplaceable(kind, pubkey, dTag = '') {
+    const db = await this.open();
+    const index = db.transaction(EVENTS).objectStore(EVENTS).index('address');
+    const record = await promisify(index.get(`${kind}:${pubkey}:${dTag}`));
+    return record ? fromRecord(record) : null;
+  }
+
+  /**
+   * Query stored events with the same filters used for relay REQs.
+   * Resolves newest first, with each filter's `limit` applied.
+   */
+  async query(filters) {
+    const db = await this.open();
+    const store = db.transaction(EVENTS).objectStore(EVENTS);
+    const results = new Map();
+
+    for (const filter of filters) {
+      const candidates = await this._candidates(store, filter);
+      const matches = candidates
+        .filter(record => matchFilter(filter, record))
+        .sort((a, b) => b.created_at - a.created_at || a.id.localeCompare(b.id));
+
+      const limited = typeof filter.limit === 'number' ? matches.slice(0, filter.limit) : matches;
+      for (const record of limited) results.set(record.id, fromRecord(record));
+    }
+
+    return [...results.values()].sort((a, b) => b.created_at - a.created_at || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Load the records a filter could match, using the narrowest index
+   */
+  async _candidates(store, filter) {
+    const getMany = async (index, keys) => {
+      const lists = await Promise.all(keys.map(key => promisify(index.getAll(key))));
+      return lists.flat();
+    };
+
+    if (filter.ids) {
+      const records = await Promise.all(filter.ids.map(id => promisify(store.get(id))));
+      return records.filter(Boolean);
+    }
+
+    if (filter.authors) return getMany(store.index('pubkey'), filter.authors);
+
+    const tagKey = Object.keys(filter).find(key => key[0] === '#' && Array.isArray(filter[key]));
+    if (tagKey) {
+      const keys = filter[tagKey].map(value => `${tagKey.slice(1)}:${value}`);
+      return getMany(store.index('tags'), keys);
+    }
+
+    if (filter.kinds) return getMany(store.index('kind'), filter.kinds);
+
+    const range = filter.since || filter.until
+      ? IDBKeyRange.bound(filter.since || 0, filter.until || Number.MAX_SAFE_INTEGER)
+      : undefined;
+    return promisify(store.index('created_at').getAll(range));
+  }
+
+  /**
+   * Delete a stored event by id
+   */
+  async deleteEvent(id) {
+    const db = await this.open();
+    const tx = db.transaction(EVENTS, 'readwrite');
+    tx.objectStore(EVENTS).delete(id);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Count stored events
+   */
+  async count() {
+    const db = await this.open();
+    return promisify(db.transaction(EVENTS).objectStore(EVENTS).count());
+  }
+
+  /**
+   * Evict events to keep the store small:
+   * - maxAge: drop events stored more than this many ms ago
+   * - maxEvents: then drop the least recently stored events beyond this count
+   * - keepAuthors: never evict events by these pubkeys (e.g. our own)
+   * Resolves with the number of events removed.
+   */
+  async evict({ maxAge = null, maxEvents = null, keepAuthors = [] } = {}) {
+    const db = await this.open();
+    const tx = db.transaction(EVENTS, 'readwrite');
+    const store = tx.objectStore(EVENTS);
+    const done = transactionDone(tx);
+    const keep = new Set(keepAuthors);
+    const cutoff = maxAge ? Date.now() - maxAge : -Infinity;
+
+    let total = await promisify(store.count());
+    let removed = 0;
+
+    // Oldest stored first
+    const cursorRequest = store.index('storedAt').openCursor();
+    await new Promise((resolve, reject) => {
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return resolve();
+
+        const record = cursor.value;
+        const tooOld = record._storedAt < cutoff;
+        const tooMany = maxEvents !== null && total > maxEvents;
+        if (!tooOld && !tooMany) return resolve();
+
+        if (!keep.has(record.pubkey)) {
+          cursor.delete();
+          total--;
+          removed++;
+        }
+        cursor.continue();
+      };
+    });
+
+    await done;
+    return removed;
+  }
+
+  /**
+   * Remove every stored event
+   */
+  async clear() {
+    const db = await this.open();
+    const tx = db.transaction(EVENTS, 'readwrite');
+    tx.objectStore(EVENTS).clear();
+    await transactionDone(tx);
+  }
+}
+
+/**
+ * Shared store used by the pages
+ */
+export const eventStore = new EventStore();
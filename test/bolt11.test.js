@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { hexToBytes } from '@noble/hashes/utils';
+import { decodeInvoice, isInvoiceExpired } from '../src/lib/bolt11.js';
+import { bech32DecodeWords } from '../src/lib/nip19.js';
+
+// Examples from the BOLT-11 spec, all signed by the same node at the same time
+const PAYEE_KEY = 'e126f68f7eafcc8b74f54d269fe206be715000f94dac067d1c04a8ca3b2db734';
+const PAYEE = '03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad';
+const TIMESTAMP = 1496314658;
+const PAYMENT_HASH = '0001020304050607080900010203040506070809000102030405060708090102';
+const DESCRIPTION_HASH = '3925b6f67e2c340036ed12093dd44e0368df1b6ea26c53dbe4811f58fd5db8c1';
+
+const DONATION = 'lnbc1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdpl2pkx2ctnv5sxxmmwwd5kgetjypeh2ursdae8g6twvus8g6rfwvs8qun0dfjkxaq9qrsgq357wnc5r2ueh7ck6q93dj32dlqnls087fxdwk8qakdyafkq3yap9us6v52vjjsrvywa6rt52cm9r9zqt8r2t7mlcwspyetp5h2tztugp9lfyql';
+const COFFEE = 'lnbc2500u1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpu9qrsgquk0rl77nj30yxdy8j9vdx85fkpmdla2087ne0xh8nhedh8w27kyke0lp53ut353s06fv3qfegext0eh0ymjpf39tuven09sam30g4vgpfna3rh';
+const HASHED = 'lnbc20m1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqhp58yjmdan79s6qqdhdzgynm4zwqd5d7xmw5fk98klysy043l2ahrqs9qrsgq7ea976txfraylvgzuxs8kgcw23ezlrszfnh8r6qtfpr6cxga50aj6txm9rxrydzd06dfeawfk6swupvz4erwnyutnjq7x39ymw6j38gp7ynn44';
+const TESTNET = 'lntb20m1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygshp58yjmdan79s6qqdhdzgynm4zwqd5d7xmw5fk98klysy043l2ahrqspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqfpp3x9et2e20v6pu37c5d9vax37wxq72un989qrsgqdj545axuxtnfemtpwkc45hx9d2ft7x04mt8q7y6t0k2dge9e7h8kpy9p34ytyslj3yu569aalz2xdk8xkd7ltxqld94u8h2esmsmacgpghe9k8';
+const ROUTED = 'lnbc20m1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqhp58yjmdan79s6qqdhdzgynm4zwqd5d7xmw5fk98klysy043l2ahrqsfpp3qjmp7lwpagxun9pygexvgpjdc4jdj85fr9yq20q82gphp2nflc7jtzrcazrra7wwgzxqc8u7754cdlpfrmccae92qgzqvzq2ps8pqqqqqqpqqqqq9qqqvpeuqafqxu92d8lr6fvg0r5gv0heeeqgcrqlnm6jhphu9y00rrhy4grqszsvpcgpy9qqqqqqgqqqqq7qqzq9qrsgqdfjcdk6w3ak5pca9hwfwfh63zrrz06wwfya0ydlzpgzxkn5xagsqz7x9j4jwe7yj7vaf2k9lqsdk45kts2fd0fkr28am0u4w95tt2nsq76cqw0';
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const SIGNATURE_WORDS = 104;
+
+// Bech32 encoding and invoice signing, kept apart from the code under test
+function polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) if ((top >> i) & 1) chk ^= GEN[i];
+  }
+  return chk;
+}
+
+function bech32Encode(prefix, words) {
+  const expanded = [...prefix].map(c => c.charCodeAt(0) >> 5).concat(0, [...prefix].map(c => c.charCodeAt(0) & 31));
+  const mod = polymod(expanded.concat(words, [0, 0, 0, 0, 0, 0])) ^ 1;
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => (mod >> (5 * (5 - i))) & 31);
+  return `${prefix}1${words.concat(checksum).map(word => CHARSET[word]).join('')}`;
+}
+
+function regroup(values, from, to) {
+  const result = [];
+  let acc = 0;
+  let bits = 0;
+  for (const value of values) {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((acc >> bits) & ((1 << to) - 1));
+    }
+  }
+  if (bits > 0) result.push((acc << (to - bits)) & ((1 << to) - 1));
+  return result;
+}
+
+/** Sign data words (timestamp and tagged fields) as the spec's payee */
+function signInvoice(prefix, dataWords, key = PAYEE_KEY) {
+  const message = new Uint8Array([...new TextEncoder().encode(prefix), ...regroup(dataWords, 5, 8)]);
+  const sig = secp256k1.sign(sha256(message), key);
+  const signature = [...sig.toCompactRawBytes(), sig.recovery];
+  return bech32Encode(prefix, dataWords.concat(regroup(signature, 8, 5)));
+}
+
+/** A tagged field of the given bech32 type character */
+function field(type, words) {
+  return [CHARSET.indexOf(type), words.length >> 5, words.length & 31, ...words];
+}
+
+// The donation invoice's timestamp and fields, to re-sign with other prefixes
+const donationWords = bech32DecodeWords(DONATION).words.slice(0, -SIGNATURE_WORDS);
+
+test('decodes an invoice without an amount', () => {
+  const decoded = decodeInvoice(DONATION);
+  assert.equal(decoded.network, 'bitcoin');
+  assert.equal(decoded.amount, null);
+  assert.equal(decoded.timestamp, TIMESTAMP);
+  assert.equal(decoded.paymentHash, PAYMENT_HASH);
+  assert.equal(decoded.paymentSecret, '11'.repeat(32));
+  assert.equal(decoded.description, 'Please consider supporting this project');
+  assert.equal(decoded.descriptionHash, null);
+  assert.deepEqual(decoded.routeHints, []);
+});
+
+test('recovers the payee from the signature', () => {
+  for (const invoice of [DONATION, COFFEE, HASHED, TESTNET, ROUTED]) {
+    assert.equal(decodeInvoice(invoice).payeeNodeKey, PAYEE);
+  }
+  assert.equal(decodeInvoice(`lightning:${COFFEE.toUpperCase()}`).payeeNodeKey, PAYEE);
+});
+
+test('applies the amount multipliers', () => {
+  assert.equal(decodeInvoice(COFFEE).amount, 250000000);
+  assert.equal(decodeInvoice(HASHED).amount, 2000000000);
+  assert.equal(decodeInvoice(signInvoice('lnbc25n', donationWords)).amount, 2500);
+  assert.equal(decodeInvoice(signInvoice('lnbc10p', donationWords)).amount, 1);
+  assert.equal(decodeInvoice(signInvoice('lnbc2', donationWords)).amount, 200000000000);
+
+  // Pico-bitcoin amounts must come to whole millisats
+  assert.throws(() => decodeInvoice(signInvoice('lnbc11p', donationWords)), /Invalid invoice amount/);
+  assert.throws(() => decodeInvoice(signInvoice('lnbc025m', donationWords)), /Invalid invoice amount/);
+});
+
+test('reads the description hash', () => {
+  const decoded = decodeInvoice(HASHED);
+  assert.equal(decoded.description, null);
+  assert.equal(decoded.descriptionHash, DESCRIPTION_HASH);
+});
+
+test('tells the network from the prefix', () => {
+  assert.equal(decodeInvoice(TESTNET).network, 'testnet');
+  assert.equal(decodeInvoice(signInvoice('lntbs', donationWords)).network, 'signet');
+  assert.equal(decodeInvoice(signInvoice('lnbcrt1m', donationWords)).network, 'regtest');
+  assert.throws(() => decodeInvoice(signInvoice('lnxy', donationWords)), /Invalid invoice prefix/);
+});
+
+test('reads route hints', () => {
+  assert.deepEqual(decodeInvoice(ROUTED).routeHints, [[
+    {
+      pubkey: '029e03a901b85534ff1e92c43c74431f7ce72046060fcf7a95c37e148f78c77255',
+      shortChannelId: '0102030405060708',
+      feeBaseMsat: 1,
+      feeProportionalMillionths: 20,
+      cltvExpiryDelta: 3,
+    },
+    {
+      pubkey: '039e03a901b85534ff1e92c43c74431f7ce72046060fcf7a95c37e148f78c77255',
+      shortChannelId: '030405060708090a',
+      feeBaseMsat: 2,
+      feeProportionalMillionths: 30,
+      cltvExpiryDelta: 4,
+    },
+  ]]);
+});
+
+test('rejects a corrupted checksum', () => {
+  const corrupted = COFFEE.slice(0, -1) + (COFFEE.endsWith('q') ? 'p' : 'q');
+  assert.throws(() => decodeInvoice(corrupted), /Invalid checksum/);
+});
+
+test('checks the signature against an explicit payee', () => {
+  const withPayee = donationWords.concat(field('n', regroup(hexToBytes(PAYEE), 8, 5)));
+  assert.equal(decodeInvoice(signInvoice('lnbc', withPayee)).payeeNodeKey, PAYEE);
+
+  // Signed by another node, or with the signature altered
+  const otherKey = secp256k1.utils.randomPrivateKey();
+  assert.throws(() => decodeInvoice(signInvoice('lnbc', withPayee, otherKey)), /Invalid invoice signature/);
+
+  const { words } = bech32DecodeWords(signInvoice('lnbc', withPayee));
+  const tampered = words.slice();
+  tampered[withPayee.length + 10] ^= 1;
+  assert.throws(() => decodeInvoice(bech32Encode('lnbc', tampered)), /Invalid invoice signature/);
+
+  // Without a payee field the altered signature recovers someone else, or
+  // no key at all
+  for (let i = 0; i < 8; i++) {
+    const recovered = bech32DecodeWords(DONATION).words.slice();
+    recovered[donationWords.length + i * 12] ^= 1;
+    let payee = null;
+    try {
+      payee = decodeInvoice(bech32Encode('lnbc', recovered)).payeeNodeKey;
+    } catch (err) {
+      assert.match(err.message, /Invalid invoice signature/);
+    }
+    assert.notEqual(payee, PAYEE);
+  }
+});
+
+test('rejects an invoice without a payment hash', () => {
+  const timestamp = donationWords.slice(0, 7);
+  assert.throws(() => decodeInvoice(signInvoice('lnbc', timestamp.concat(field('d', [1, 2, 3])))), /no payment hash/);
+});
+
+test('works out expiry', () => {
+  const coffee = decodeInvoice(COFFEE);
+  assert.equal(coffee.expiry, 60);
+  assert.equal(coffee.expiresAt, TIMESTAMP + 60);
+  assert.equal(isInvoiceExpired(coffee, TIMESTAMP + 59), false);
+  assert.equal(isInvoiceExpired(coffee, TIMESTAMP + 60), true);
+
+  // One hour unless the invoice says otherwise
+  const donation = decodeInvoice(DONATION);
+  assert.equal(donation.expiry, 3600);
+  assert.equal(isInvoiceExpired(donation, TIMESTAMP + 3599), false);
+  assert.equal(isInvoiceExpired(donation), true);
+});
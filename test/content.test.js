@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseContent } from '../src/lib/content.js';
+import { neventEncode, npubEncode } from '../src/lib/nip19.js';
+
+const pubkey = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+const id = 'a'.repeat(64);
+
+test('plain text is one segment', () => {
+  assert.deepEqual(parseContent('hello world'), [{ type: 'text', value: 'hello world' }]);
+  assert.deepEqual(parseContent(''), []);
+});
+
+test('URLs are links, images or videos, without trailing punctuation', () => {
+  assert.deepEqual(parseContent('see https://example.com/page.'), [
+    { type: 'text', value: 'see ' },
+    { type: 'link', url: 'https://example.com/page' },
+    { type: 'text', value: '.' },
+  ]);
+  assert.deepEqual(parseContent('https://example.com/cat.JPG'), [{ type: 'image', url: 'https://example.com/cat.JPG' }]);
+  assert.deepEqual(parseContent('https://example.com/clip.mp4?x=1'), [{ type: 'video', url: 'https://example.com/clip.mp4?x=1' }]);
+  assert.deepEqual(parseContent('(see https://example.com/a),'), [
+    { type: 'text', value: '(see ' },
+    { type: 'link', url: 'https://example.com/a' },
+    { type: 'text', value: '),' },
+  ]);
+  assert.deepEqual(parseContent('(https://en.wikipedia.org/wiki/Nostr_(protocol))'), [
+    { type: 'text', value: '(' },
+    { type: 'link', url: 'https://en.wikipedia.org/wiki/Nostr_(protocol)' },
+    { type: 'text', value: ')' },
+  ]);
+});
+
+test('nostr: URIs become mentions', () => {
+  const npub = npubEncode(pubkey);
+  assert.deepEqual(parseContent(`hi nostr:${npub}!`), [
+    { type: 'text', value: 'hi ' },
+    { type: 'mention', entity: 'npub', data: pubkey, uri: `nostr:${npub}` },
+    { type: 'text', value: '!' },
+  ]);
+
+  const nevent = neventEncode({ id, relays: ['wss://relay.example'] });
+  const [segment] = parseContent(`nostr:${nevent}`);
+  assert.equal(segment.entity, 'nevent');
+  assert.equal(segment.data.id, id);
+  assert.deepEqual(segment.data.relays, ['wss://relay.example']);
+});
+
+test('hashtags are lowercased and need a word boundary', () => {
+  assert.deepEqual(parseContent('#Nostr and #café'), [
+    { type: 'hashtag', tag: 'nostr' },
+    { type: 'text', value: ' and ' },
+    { type: 'hashtag', tag: 'café' },
+  ]);
+  assert.deepEqual(parseContent('issue#12'), [{ type: 'text', value: 'issue#12' }]);
+});
+
+test('legacy #[i] mentions resolve against the tags', () => {
+  const tags = [['p', pubkey], ['e', id]];
+  assert.deepEqual(parseContent('#[0] wrote #[1]', tags), [
+    { type: 'mention', entity: 'npub', data: pubkey, uri: '#[0]' },
+    { type: 'text', value: ' wrote ' },
+    { type: 'mention', entity: 'note', data: id, uri: '#[1]' },
+  ]);
+});
+
+test('malformed input stays text', () => {
+  // Bad checksum, not a mention entity, unknown tag index, invalid tag values
+  const badNpub = `nostr:${npubEncode(pubkey).slice(0, -1)}q`;
+  assert.deepEqual(parseContent(badNpub), [{ type: 'text', value: badNpub }]);
+  assert.deepEqual(parseContent('#[3]', [['p', pubkey]]), [{ type: 'text', value: '#[3]' }]);
+  assert.deepEqual(parseContent('#[0]', [['e', 'zz']]), [{ type: 'text', value: '#[0]' }]);
+  assert.deepEqual(parseContent('#[0] #[1]', [['p', 'A'.repeat(64)], ['t', 'nostr']]), [{ type: 'text', value: '#[0] #[1]' }]);
+  assert.deepEqual(parseContent('http://'), [{ type: 'text', value: 'http://' }]);
+});
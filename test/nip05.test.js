@@ -0,0 +1,103 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatNip05, queryProfile, resolvePubkey, verifyNip05 } from '../src/lib/nip05.js';
+
+const bob = 'b'.repeat(64);
+const root = 'c'.repeat(64);
+
+globalThis.localStorage = {
+  data: new Map(),
+  getItem(key) { return this.data.has(key) ? this.data.get(key) : null; },
+  setItem(key, value) { this.data.set(key, String(value)); },
+};
+
+beforeEach(() => {
+  localStorage.data.clear();
+  mock.restoreAll();
+});
+
+/**
+ * Stand-in for example.com: serves `body` as /.well-known/nostr.json, or
+ * redirects elsewhere with `redirect`. Records every request.
+ */
+function fakeServer({ body = null, status = 200, redirect = false } = {}) {
+  const requests = [];
+  const fetcher = async (url, init) => {
+    requests.push({ url, init });
+    // What fetch does with redirect: 'error'
+    if (redirect && init.redirect === 'error') throw new TypeError('fetch failed: unexpected redirect');
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+    };
+  };
+  return { fetcher, requests };
+}
+
+const names = { names: { bob, _: root }, relays: { [bob]: ['wss://relay.example', 42] } };
+
+test('resolves a name to its pubkey and relays', async () => {
+  const { fetcher, requests } = fakeServer({ body: names });
+
+  assert.deepEqual(await queryProfile('Bob@Example.com', { fetch: fetcher }), { pubkey: bob, relays: ['wss://relay.example'] });
+  assert.equal(requests[0].url, 'https://example.com/.well-known/nostr.json?name=bob');
+  assert.equal(requests[0].init.redirect, 'error');
+  assert.equal(await verifyNip05(bob, 'bob@example.com', { fetch: fetcher }), true);
+});
+
+test('a bare domain is the _ name', async () => {
+  const { fetcher, requests } = fakeServer({ body: names });
+
+  assert.deepEqual(await resolvePubkey('example.com', { fetch: fetcher }), { pubkey: root, relays: [] });
+  assert.equal(requests[0].url, 'https://example.com/.well-known/nostr.json?name=_');
+  assert.equal(formatNip05('_@example.com'), 'example.com');
+});
+
+test('a different pubkey or a missing name does not verify', async () => {
+  const { fetcher } = fakeServer({ body: names });
+
+  assert.equal(await verifyNip05('d'.repeat(64), 'bob@example.com', { fetch: fetcher }), false);
+  assert.equal(await queryProfile('alice@example.com', { fetch: fetcher }), null);
+  await assert.rejects(resolvePubkey('alice@example.com', { fetch: fetcher }), /Could not resolve/);
+});
+
+test('bad responses and redirects resolve to nothing', async () => {
+  const bad = [
+    fakeServer({ body: names, status: 404 }),
+    fakeServer({ body: '<html>not json</html>' }),
+    fakeServer({ body: { names: { bob: 'not a pubkey' } } }),
+    fakeServer({ body: names, redirect: true }),
+  ];
+  for (const { fetcher } of bad) {
+    assert.equal(await queryProfile('bob@example.com', { fetch: fetcher, force: true }), null);
+  }
+});
+
+test('answers come from the cache until they expire', async () => {
+  let now = 1_000_000;
+  mock.method(Date, 'now', () => now);
+  const { fetcher, requests } = fakeServer({ body: names });
+
+  await queryProfile('bob@example.com', { fetch: fetcher });
+  await queryProfile('bob@example.com', { fetch: fetcher });
+  assert.equal(requests.length, 1);
+
+  // Found names are kept for an hour
+  now += 59 * 60 * 1000;
+  await queryProfile('bob@example.com', { fetch: fetcher });
+  assert.equal(requests.length, 1);
+  now += 2 * 60 * 1000;
+  await queryProfile('bob@example.com', { fetch: fetcher });
+  assert.equal(requests.length, 2);
+
+  // Failures only for five minutes
+  const failing = fakeServer({ status: 500 });
+  await queryProfile('carol@example.com', { fetch: failing.fetcher });
+  now += 4 * 60 * 1000;
+  await queryProfile('carol@example.com', { fetch: failing.fetcher });
+  assert.equal(failing.requests.length, 1);
+  now += 2 * 60 * 1000;
+  await queryProfile('carol@example.com', { fetch: failing.fetcher });
+  assert.equal(failing.requests.length, 2);
+});
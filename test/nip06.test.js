@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { schnorr } from '@noble/curves/secp256k1';
+import { bytesToHex } from '@noble/hashes/utils';
+import { generateMnemonic, getDerivationPath, privateKeyFromMnemonic, validateMnemonic } from '../src/lib/nip06.js';
+import { npubEncode, nsecEncode } from '../src/lib/nip19.js';
+
+// Test vectors from the NIP-06 spec
+const vectors = JSON.parse(readFileSync(new URL('./nip06.vectors.json', import.meta.url), 'utf8'));
+
+test('derives the spec vectors', () => {
+  for (const { mnemonic, private_key, nsec, public_key, npub } of vectors) {
+    assert.equal(validateMnemonic(mnemonic), true);
+    const secretKey = privateKeyFromMnemonic(mnemonic);
+    assert.equal(bytesToHex(secretKey), private_key);
+    assert.equal(nsecEncode(private_key), nsec);
+    assert.equal(bytesToHex(schnorr.getPublicKey(secretKey)), public_key);
+    assert.equal(npubEncode(public_key), npub);
+  }
+});
+
+test('accepts mnemonics typed with extra spaces or capitals', () => {
+  const { mnemonic, private_key } = vectors[0];
+  const typed = `  ${mnemonic.toUpperCase().split(' ').join('   ')}\n`;
+  assert.equal(bytesToHex(privateKeyFromMnemonic(typed)), private_key);
+});
+
+test('passphrases and accounts give other keys', () => {
+  const { mnemonic, private_key } = vectors[0];
+  assert.equal(getDerivationPath(1), "m/44'/1237'/1'/0/0");
+  assert.notEqual(bytesToHex(privateKeyFromMnemonic(mnemonic, 'passphrase')), private_key);
+  assert.notEqual(bytesToHex(privateKeyFromMnemonic(mnemonic, '', 1)), private_key);
+  assert.throws(() => getDerivationPath(-1), /Invalid account index/);
+});
+
+test('rejects bad checksums and generates valid mnemonics', () => {
+  const words = vectors[0].mnemonic.split(' ');
+  const swapped = [...words.slice(0, -2), words[words.length - 1], words[words.length - 2]].join(' ');
+  assert.equal(validateMnemonic(swapped), false);
+  assert.throws(() => privateKeyFromMnemonic(swapped), /Invalid mnemonic/);
+
+  assert.equal(generateMnemonic().split(' ').length, 12);
+  assert.equal(generateMnemonic(256).split(' ').length, 24);
+  assert.equal(validateMnemonic(generateMnemonic()), true);
+});
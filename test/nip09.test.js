@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DELETION_KIND, DeletionIndex, createDeletionRequest, getDeletionTargets } from '../src/lib/nip09.js';
+
+const alice = 'a'.repeat(64);
+const bob = 'b'.repeat(64);
+
+const note = { id: '1'.repeat(64), pubkey: alice, kind: 1, created_at: 100, tags: [], content: 'hi' };
+const list = { id: '2'.repeat(64), pubkey: alice, kind: 30003, created_at: 100, tags: [['d', 'bookmarks']], content: '' };
+const LIST_ADDRESS = `30003:${alice}:bookmarks`;
+
+function deletion(pubkey, tags, createdAt = 200) {
+  return { kind: DELETION_KIND, pubkey, created_at: createdAt, tags, content: '' };
+}
+
+test('deletion requests tag ids, addresses and kinds', () => {
+  const request = createDeletionRequest([note, list, { ...note, id: '3'.repeat(64) }], 'oops');
+  assert.equal(request.kind, DELETION_KIND);
+  assert.equal(request.content, 'oops');
+  assert.deepEqual(request.tags, [
+    ['e', note.id],
+    ['e', list.id],
+    ['a', LIST_ADDRESS],
+    ['e', '3'.repeat(64)],
+    ['k', '1'],
+    ['k', '30003'],
+  ]);
+});
+
+test('addresses by other authors are not targets', () => {
+  const targets = getDeletionTargets(deletion(bob, [['e', note.id], ['e', 'nope'], ['a', LIST_ADDRESS], ['a', `30003:${bob}:x`]]));
+  assert.deepEqual(targets, { ids: [note.id], addresses: [`30003:${bob}:x`] });
+  assert.deepEqual(getDeletionTargets({ ...note, tags: [['e', note.id]] }), { ids: [], addresses: [] });
+});
+
+test('only the author can delete an event', () => {
+  const index = new DeletionIndex();
+  index.add(deletion(bob, [['e', note.id], ['a', LIST_ADDRESS]]));
+  assert.equal(index.isDeleted(note), false);
+  assert.equal(index.isDeleted(list), false);
+
+  assert.deepEqual(index.add(deletion(alice, [['e', note.id]])), [note.id]);
+  assert.equal(index.isDeleted(note), true);
+  // Alice's request says nothing about an event claiming her note's id
+  assert.equal(index.isDeleted({ ...note, pubkey: 'c'.repeat(64) }), false);
+});
+
+test('address deletions cover versions up to the request', () => {
+  const index = new DeletionIndex();
+  index.add(deletion(alice, [['a', LIST_ADDRESS]], 200));
+
+  assert.equal(index.isDeleted(list), true);
+  assert.equal(index.isDeleted({ ...list, id: '4'.repeat(64), created_at: 200 }), true);
+  assert.equal(index.isDeleted({ ...list, id: '5'.repeat(64), created_at: 201 }), false);
+
+  // An older request doesn't move the cutoff back
+  index.add(deletion(alice, [['a', LIST_ADDRESS]], 50));
+  assert.equal(index.isDeleted(list), true);
+  index.add(deletion(alice, [['a', LIST_ADDRESS]], 300));
+  assert.equal(index.isDeleted({ ...list, id: '5'.repeat(64), created_at: 201 }), true);
+});
+
+test('deletion requests cannot be deleted', () => {
+  const index = new DeletionIndex();
+  const request = { ...deletion(alice, [['e', note.id]]), id: '6'.repeat(64) };
+  index.add(deletion(alice, [['e', request.id]]));
+  assert.equal(index.isDeleted(request), false);
+});
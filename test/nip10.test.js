@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildThreadTree, createReplyTags, getRootAddress } from '../src/lib/nip10.js';
+
+const id = (c) => c.repeat(64);
+
+function note(c, createdAt, tags = []) {
+  return { id: id(c), pubkey: id('f'), created_at: createdAt, kind: 1, tags, content: '' };
+}
+
+// Walk the tree, failing on any node reached twice
+function collect(node, seen = new Set()) {
+  assert.ok(!seen.has(node.id), `node ${node.id[0]} is reachable twice`);
+  seen.add(node.id);
+  node.children.forEach(child => collect(child, seen));
+  return seen;
+}
+
+test('nests replies under their parents, oldest first', () => {
+  const root = note('a', 1);
+  const late = note('b', 3, [['e', root.id, '', 'root']]);
+  const early = note('c', 2, [['e', root.id, '', 'root']]);
+  const nested = note('d', 4, [['e', root.id, '', 'root'], ['e', early.id, '', 'reply']]);
+
+  const { roots, eventMap } = buildThreadTree([nested, late, root, early]);
+
+  assert.deepEqual(roots.map(node => node.id), [root.id]);
+  assert.deepEqual(eventMap.get(root.id).children.map(node => node.id), [early.id, late.id]);
+  assert.deepEqual(eventMap.get(early.id).children.map(node => node.id), [nested.id]);
+});
+
+test('hangs a missing parent under the thread root', () => {
+  const root = note('a', 1);
+  const orphan = note('b', 2, [['e', root.id, '', 'root'], ['e', id('c'), '', 'reply']]);
+
+  const { roots, eventMap } = buildThreadTree([orphan, root]);
+
+  assert.deepEqual(roots.map(node => node.id), [root.id]);
+  const placeholder = eventMap.get(id('c'));
+  assert.equal(placeholder.event, null);
+  assert.deepEqual(eventMap.get(root.id).children, [placeholder]);
+  assert.deepEqual(placeholder.children.map(node => node.id), [orphan.id]);
+});
+
+test('does not build a loop through a missing parent, in any order', () => {
+  // D replies to the missing P; C claims D is its root and P its parent
+  const missing = id('p');
+  const d = note('d', 1, [['e', missing, '', 'reply']]);
+  const c = note('c', 2, [['e', d.id, '', 'root'], ['e', missing, '', 'reply']]);
+
+  for (const events of [[c, d], [d, c]]) {
+    const { roots, eventMap } = buildThreadTree(events);
+
+    assert.deepEqual(roots.map(node => node.id), [missing]);
+    assert.deepEqual(eventMap.get(missing).children.map(node => node.id), [d.id, c.id]);
+    assert.deepEqual(eventMap.get(d.id).children, []);
+    assert.equal(collect(roots[0]).size, 3);
+  }
+});
+
+test('replies to an addressable root tag it by address as well as by id', () => {
+  const article = { ...note('a', 1, [['d', 'my-article']]), kind: 30023, pubkey: id('b') };
+  const address = `30023:${id('b')}:my-article`;
+  assert.equal(getRootAddress(article), address);
+
+  const reply = note('c', 2, createReplyTags(article, article.id, 'wss://relay.example'));
+  assert.deepEqual(reply.tags.filter(tag => tag[0] !== 'p'), [
+    ['e', article.id, 'wss://relay.example', 'root', id('b')],
+    ['a', address, 'wss://relay.example', 'root'],
+  ]);
+  assert.equal(getRootAddress(reply), address);
+
+  // Deeper replies keep the root's address
+  const nested = createReplyTags(reply, article.id, '', id('f'));
+  assert.deepEqual(nested.find(tag => tag[0] === 'a'), ['a', address, 'wss://relay.example', 'root']);
+  assert.equal(getRootAddress(note('d', 3, createReplyTags(note('e', 1), id('e')))), null);
+});
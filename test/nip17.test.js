@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr } from '@noble/curves/secp256k1';
+import { LocalSigner } from '../src/lib/signer.js';
+import { DM_RELAYS_KIND, sendDirectMessage, unwrapDirectMessage } from '../src/lib/nip17.js';
+
+const alice = new LocalSigner(schnorr.utils.randomPrivateKey());
+const bob = new LocalSigner(schnorr.utils.randomPrivateKey());
+const carol = new LocalSigner(schnorr.utils.randomPrivateKey());
+
+/**
+ * Stand-in for an OutboxRouter: answers DM relay lookups from `dmRelays`
+ * (pubkey -> URLs) and records what is published where
+ */
+function fakeRouter(dmRelays) {
+  const published = [];
+  return {
+    published,
+    async queryAuthors(authors, filter) {
+      assert.deepEqual(filter.kinds, [DM_RELAYS_KIND]);
+      return authors.filter(pubkey => dmRelays[pubkey]).map(pubkey => ({
+        kind: DM_RELAYS_KIND,
+        pubkey,
+        created_at: 1,
+        tags: dmRelays[pubkey].map(url => ['relay', url]),
+        content: '',
+      }));
+    },
+    getOwnReadRelays: () => ['wss://own.example/'],
+    pool: {
+      async publish(event, { relays }) {
+        published.push({ event, relays });
+        return relays.map(relay => ({ relay, accepted: true }));
+      },
+    },
+  };
+}
+
+test('a message is wrapped for each recipient and for the sender', async () => {
+  const router = fakeRouter({ [bob.pubkey]: ['wss://bob.example'], [carol.pubkey]: ['wss://carol.example'] });
+  const { rumor, deliveries } = await sendDirectMessage(router, alice, [bob.pubkey, carol.pubkey], 'hello both');
+
+  assert.deepEqual(deliveries.map(delivery => delivery.pubkey), [bob.pubkey, carol.pubkey, alice.pubkey]);
+  assert.deepEqual(router.published.map(({ relays }) => relays), [
+    ['wss://bob.example/'],
+    ['wss://carol.example/'],
+    // Alice has no DM relays, so her copy goes to her read relays
+    ['wss://own.example/'],
+  ]);
+
+  const signers = [bob, carol, alice];
+  for (const [i, { event }] of router.published.entries()) {
+    const message = await unwrapDirectMessage(event, signers[i]);
+    assert.deepEqual(message, rumor);
+    assert.equal(message.content, 'hello both');
+    assert.equal(message.pubkey, alice.pubkey);
+  }
+
+  // Nobody can open another's wrap
+  await assert.rejects(unwrapDirectMessage(router.published[0].event, carol));
+});
+
+test('refuses to send to someone without DM relays', async () => {
+  const router = fakeRouter({ [bob.pubkey]: ['wss://bob.example'] });
+  await assert.rejects(sendDirectMessage(router, alice, [bob.pubkey, carol.pubkey], 'hi'), /No DM relays/);
+  assert.equal(router.published.length, 0);
+});
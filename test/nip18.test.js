@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr } from '@noble/curves/secp256k1';
+import { finalizeEvent } from '../src/lib/events.js';
+import { GENERIC_REPOST_KIND, REPOST_KIND, createQuotePost, createRepost, parseRepost } from '../src/lib/nip18.js';
+import { neventDecode } from '../src/lib/nip19.js';
+
+const key = schnorr.utils.randomPrivateKey();
+const RELAY = 'wss://relay.example';
+
+const note = finalizeEvent({ kind: 1, created_at: 1, tags: [], content: 'hello' }, key);
+const article = finalizeEvent({ kind: 30023, created_at: 1, tags: [['d', 'my-article']], content: '# Hello' }, key);
+
+test('text notes are reposted as kind 6', () => {
+  const repost = createRepost(note, RELAY);
+  assert.equal(repost.kind, REPOST_KIND);
+  assert.deepEqual(repost.tags, [['e', note.id, RELAY], ['p', note.pubkey, RELAY]]);
+  assert.deepEqual(JSON.parse(repost.content), note);
+});
+
+test('other kinds are reposted as kind 16 with a k tag', () => {
+  const repost = createRepost(article, RELAY);
+  assert.equal(repost.kind, GENERIC_REPOST_KIND);
+  assert.deepEqual(repost.tags, [
+    ['e', article.id, RELAY],
+    ['p', article.pubkey, RELAY],
+    ['k', '30023'],
+    ['a', `30023:${article.pubkey}:my-article`, RELAY],
+  ]);
+});
+
+test('protected events are referenced but not copied', () => {
+  const protectedNote = finalizeEvent({ kind: 1, created_at: 1, tags: [['-']], content: 'relay only' }, key);
+  const repost = createRepost(protectedNote, RELAY);
+  assert.equal(repost.content, '');
+  assert.deepEqual(repost.tags[0], ['e', protectedNote.id, RELAY]);
+
+  const parsed = parseRepost({ ...repost, pubkey: note.pubkey });
+  assert.deepEqual([parsed.eventId, parsed.author, parsed.kind, parsed.event], [protectedNote.id, protectedNote.pubkey, 1, null]);
+});
+
+test('parses the embedded event only if it checks out', () => {
+  const repost = createRepost(article, RELAY);
+  assert.deepEqual(parseRepost(repost), {
+    eventId: article.id,
+    relay: RELAY,
+    author: article.pubkey,
+    kind: 30023,
+    event: article,
+  });
+
+  // A forged signature
+  const sig = (article.sig.startsWith('0') ? '1' : '0') + article.sig.slice(1);
+  assert.equal(parseRepost({ ...repost, content: JSON.stringify({ ...article, sig }) }).event, null);
+
+  // Content edited after signing
+  assert.equal(parseRepost({ ...repost, content: JSON.stringify({ ...article, content: 'edited' }) }).event, null);
+
+  // A valid event other than the one in the e tag
+  assert.equal(parseRepost({ ...repost, content: JSON.stringify(note) }).event, null);
+
+  assert.equal(parseRepost({ ...repost, content: 'not json' }).event, null);
+  assert.equal(parseRepost({ ...repost, tags: [] }), null);
+  assert.equal(parseRepost({ ...repost, kind: 1 }), null);
+});
+
+test('quote posts link the note and tag it with q', () => {
+  const quote = createQuotePost('  look at this ', note, RELAY);
+  assert.equal(quote.kind, 1);
+  assert.deepEqual(quote.tags, [['q', note.id, RELAY, note.pubkey], ['p', note.pubkey]]);
+
+  const [text, link] = quote.content.split('\n\nnostr:');
+  assert.equal(text, 'look at this');
+  assert.deepEqual(neventDecode(link), { id: note.id, relays: [RELAY], author: note.pubkey, kind: 1 });
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decode,
+  lnurlDecode, lnurlEncode,
+  naddrDecode, naddrEncode,
+  ncryptsecDecode, ncryptsecEncode,
+  neventDecode, neventEncode,
+  noteDecode, noteEncode,
+  nprofileDecode, nprofileEncode,
+  npubDecode, npubEncode,
+  nsecDecode, nsecEncode,
+} from '../src/lib/nip19.js';
+
+const PUBKEY = '7e7e9c42a91bfef19fa929e5fda1b72e0ebc1a4c1141673e2794234d86addf4e';
+const NPUB = 'npub10elfcs4fr0l0r8af98jlmgdh9c8tcxjvz9qkw038js35mp4dma8qzvjptg';
+const SECKEY = '67dea2ed018072d675f5415ecfaed7d2597555e202d85b3d65ea4e58d2d92ffa';
+const NSEC = 'nsec1vl029mgpspedva04g90vltkh6fvh240zqtv9k0t9af8935ke9laqsnlfe5';
+const NPROFILE = 'nprofile1qqsrhuxx8l9ex335q7he0f09aej04zpazpl0ne2cgukyawd24mayt8gpp4mhxue69uhhytnc9e3k7mgpz4mhxue69uhkg6nzv9ejuumpv34kytnrdaksjlyr9p';
+const EVENT_ID = 'e'.repeat(64);
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+// Bech32 encoding of raw bytes, to build entities the encoders won't
+function polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) if ((top >> i) & 1) chk ^= GEN[i];
+  }
+  return chk;
+}
+
+function encodeBytes(prefix, bytes) {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+  }
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+
+  const expanded = [...prefix].map(c => c.charCodeAt(0) >> 5).concat(0, [...prefix].map(c => c.charCodeAt(0) & 31));
+  const mod = polymod(expanded.concat(words, [0, 0, 0, 0, 0, 0])) ^ 1;
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => (mod >> (5 * (5 - i))) & 31);
+  return `${prefix}1${words.concat(checksum).map(word => CHARSET[word]).join('')}`;
+}
+
+const hex = (value) => [...Buffer.from(value, 'hex')];
+const tlv = (type, bytes) => [type, bytes.length, ...bytes];
+
+test('decodes the NIP-19 examples', () => {
+  assert.equal(npubDecode(NPUB), PUBKEY);
+  assert.equal(nsecDecode(NSEC), SECKEY);
+  assert.deepEqual(nprofileDecode(NPROFILE), {
+    pubkey: '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d',
+    relays: ['wss://r.x.com', 'wss://djbas.sadkb.com'],
+  });
+
+  assert.equal(npubEncode(PUBKEY), NPUB);
+  assert.equal(nsecEncode(SECKEY), NSEC);
+  assert.equal(nprofileEncode(nprofileDecode(NPROFILE)), NPROFILE);
+});
+
+test('round-trips every entity', () => {
+  assert.equal(noteDecode(noteEncode(EVENT_ID)), EVENT_ID);
+
+  const event = { id: EVENT_ID, relays: ['wss://relay.example'], author: PUBKEY, kind: 30023 };
+  assert.deepEqual(neventDecode(neventEncode(event)), event);
+  assert.deepEqual(neventDecode(neventEncode({ id: EVENT_ID })), { id: EVENT_ID, relays: [], author: null, kind: null });
+  assert.equal(neventDecode(neventEncode({ id: EVENT_ID, kind: 0 })).kind, 0);
+
+  const address = { identifier: 'my-article', pubkey: PUBKEY, kind: 30023, relays: ['wss://a.example', 'wss://b.example'] };
+  assert.deepEqual(naddrDecode(naddrEncode(address)), address);
+  assert.equal(naddrDecode(naddrEncode({ ...address, identifier: '' })).identifier, '');
+
+  const payload = '02' + 'ab'.repeat(90);
+  assert.equal(ncryptsecDecode(ncryptsecEncode(payload)), payload);
+
+  // LUD-01 example, upper case as it's shown in QR codes
+  const lnurl = 'LNURL1DP68GURN8GHJ7UM9WFMXJCM99E3K7MF0V9CXJ0M385EKVCENXC6R2C35XVUKXEFCV5MKVV34X5EKZD3EV56NYD3HXQURZEPEXEJXXEPNXSCRVWFNV9NXZCN9XQ6XYEFHVGCXXCMYXYMNSERXFQ5FNS';
+  const url = 'https://service.com/api?q=3fc3645b439ce8e7f2553a69e5267081d96dcd340693afabe04be7b0ccd178df';
+  assert.equal(lnurlDecode(lnurl), url);
+  assert.equal(lnurlDecode(`lightning:${lnurl}`), url);
+  assert.equal(lnurlEncode(url), lnurl.toLowerCase());
+});
+
+test('decode() tells the type from the prefix', () => {
+  assert.deepEqual(decode(NPUB), { type: 'npub', data: PUBKEY });
+  assert.deepEqual(decode(`nostr:${NPUB}`), { type: 'npub', data: PUBKEY });
+  assert.deepEqual(decode(` ${NSEC}\n`), { type: 'nsec', data: SECKEY });
+  assert.deepEqual(decode(noteEncode(EVENT_ID)), { type: 'note', data: EVENT_ID });
+  assert.equal(decode(NPROFILE).type, 'nprofile');
+  assert.equal(decode(neventEncode({ id: EVENT_ID })).data.id, EVENT_ID);
+  assert.equal(decode(naddrEncode({ identifier: 'x', pubkey: PUBKEY, kind: 30000 })).data.kind, 30000);
+  assert.equal(decode(ncryptsecEncode('02' + '00'.repeat(90))).type, 'ncryptsec');
+
+  assert.throws(() => decode(lnurlEncode('https://example.com')), /Unknown NIP-19 prefix/);
+  assert.throws(() => decode(encodeBytes('npub', hex(PUBKEY).slice(1))), /Invalid npub length/);
+  assert.throws(() => decode(encodeBytes('note', [...hex(EVENT_ID), 0])), /Invalid note length/);
+  assert.throws(() => decode(encodeBytes('ncryptsec', hex('02' + '00'.repeat(89)))), /Invalid ncryptsec length/);
+});
+
+test('skips unknown TLV types', () => {
+  const data = [...tlv(0, hex(PUBKEY)), ...tlv(9, [1, 2, 3]), ...tlv(1, [...Buffer.from('wss://r.example')])];
+  assert.deepEqual(nprofileDecode(encodeBytes('nprofile', data)), { pubkey: PUBKEY, relays: ['wss://r.example'] });
+
+  const event = [...tlv(0, hex(EVENT_ID)), ...tlv(200, [])];
+  assert.equal(neventDecode(encodeBytes('nevent', event)).id, EVENT_ID);
+});
+
+test('rejects truncated and malformed TLVs', () => {
+  const profile = tlv(0, hex(PUBKEY));
+  assert.throws(() => nprofileDecode(encodeBytes('nprofile', profile.slice(0, -1))), /Truncated TLV/);
+  assert.throws(() => nprofileDecode(encodeBytes('nprofile', [...profile, 1])), /Truncated TLV/);
+
+  // Pubkeys and ids must be 32 bytes
+  assert.throws(() => nprofileDecode(encodeBytes('nprofile', tlv(0, hex(PUBKEY).slice(1)))), /Invalid length/);
+  assert.throws(() => neventDecode(encodeBytes('nevent', tlv(0, [...hex(EVENT_ID), 0]))), /Invalid length/);
+  const withAuthor = [...tlv(0, hex(EVENT_ID)), ...tlv(2, hex(PUBKEY).slice(2))];
+  assert.throws(() => neventDecode(encodeBytes('nevent', withAuthor)), /Invalid length/);
+  const withKind = [...tlv(0, hex(EVENT_ID)), ...tlv(3, [0, 1])];
+  assert.throws(() => neventDecode(encodeBytes('nevent', withKind)), /Invalid length/);
+
+  // Required entries, given once
+  assert.throws(() => nprofileDecode(encodeBytes('nprofile', [])), /Missing TLV/);
+  assert.throws(() => nprofileDecode(encodeBytes('nprofile', [...profile, ...profile])), /Duplicate TLV/);
+  const noKind = [...tlv(0, [...Buffer.from('x')]), ...tlv(2, hex(PUBKEY))];
+  assert.throws(() => naddrDecode(encodeBytes('naddr', noKind)), /Missing TLV/);
+
+  assert.throws(() => nprofileEncode({ pubkey: 'abc' }), /Invalid pubkey/);
+  assert.throws(() => neventEncode({ id: EVENT_ID, kind: -1 }), /Invalid kind/);
+});
+
+test('specific decoders refuse other prefixes', () => {
+  const nevent = neventEncode({ id: EVENT_ID });
+  assert.throws(() => npubDecode(NSEC), /Invalid npub/);
+  assert.throws(() => nsecDecode(NPUB), /Invalid nsec/);
+  assert.throws(() => noteDecode(NPUB), /Invalid note/);
+  assert.throws(() => nprofileDecode(nevent), /Invalid nprofile/);
+  assert.throws(() => neventDecode(NPROFILE), /Invalid nevent/);
+  assert.throws(() => naddrDecode(nevent), /Invalid naddr/);
+  assert.throws(() => ncryptsecDecode(NSEC), /Invalid ncryptsec/);
+  assert.throws(() => lnurlDecode(NPUB), /Invalid lnurl/);
+});
+
+test('rejects bad bech32', () => {
+  assert.throws(() => npubDecode(NPUB.slice(0, -1) + (NPUB.endsWith('q') ? 'p' : 'q')), /Invalid checksum/);
+  assert.throws(() => npubDecode('npub1' + NPUB.slice(5).toUpperCase()), /Mixed-case/);
+  assert.throws(() => npubDecode(NPUB.replace('npub1', 'npub1b')), /Invalid character/);
+  assert.throws(() => decode('npub1qqqqq'), /Invalid bech32/);
+
+  // Entities with many relay hints run past plain bech32's 90 characters,
+  // up to a limit of 5000
+  const relays = Array.from({ length: 20 }, (_, i) => `wss://relay${i}.example.com`);
+  const long = nprofileEncode({ pubkey: PUBKEY, relays });
+  assert.ok(long.length > 90);
+  assert.deepEqual(nprofileDecode(long).relays, relays);
+
+  const tooLong = encodeBytes('nprofile', [...tlv(0, hex(PUBKEY)), ...Array(3200).fill(0)]);
+  assert.ok(tooLong.length > 5000);
+  assert.throws(() => nprofileDecode(tooLong), /too long/);
+  assert.throws(() => decode(tooLong), /too long/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DISLIKE, LIKE, REACTION_KIND, ReactionTally, createReaction, getReactionFilters, parseReaction } from '../src/lib/nip25.js';
+
+const id = (c) => c.repeat(64);
+const note = { id: id('a'), pubkey: id('b'), kind: 1, created_at: 1, tags: [], content: 'hello' };
+
+function reaction(pubkey, content, tags = []) {
+  return { kind: REACTION_KIND, pubkey, created_at: 2, tags: [['e', note.id], ['p', note.pubkey], ...tags], content };
+}
+
+test('tags the note, its author and its kind', () => {
+  const like = createReaction(note, LIKE, { relay: 'wss://relay.example' });
+  assert.equal(like.kind, REACTION_KIND);
+  assert.equal(like.content, '+');
+  assert.deepEqual(like.tags, [
+    ['e', note.id, 'wss://relay.example', note.pubkey],
+    ['p', note.pubkey, 'wss://relay.example'],
+    ['k', '1'],
+  ]);
+});
+
+test('tags addressable events by coordinate too', () => {
+  const article = { ...note, kind: 30023, tags: [['d', 'my-article']] };
+  const like = createReaction(article);
+  assert.deepEqual(like.tags.find(tag => tag[0] === 'a'), ['a', `30023:${note.pubkey}:my-article`, '']);
+  assert.deepEqual(like.tags.find(tag => tag[0] === 'k'), ['k', '30023']);
+});
+
+test('custom emoji reactions carry an emoji tag', () => {
+  const emoji = { shortcode: 'soapbox', url: 'https://example.com/soapbox.png' };
+  const react = createReaction(note, ':soapbox:', { emoji });
+  assert.deepEqual(react.tags.at(-1), ['emoji', 'soapbox', emoji.url]);
+
+  assert.throws(() => createReaction(note, ':other:', { emoji }), /shortcode/);
+  assert.throws(() => createReaction(note, ':bad code:', { emoji: { shortcode: 'bad code', url: emoji.url } }), /Invalid emoji shortcode/);
+});
+
+test('parses likes, dislikes and emoji', () => {
+  assert.equal(parseReaction(reaction(id('c'), '+')).type, 'like');
+  assert.equal(parseReaction(reaction(id('c'), '')).type, 'like');
+  assert.equal(parseReaction(reaction(id('c'), '-')).type, 'dislike');
+  assert.equal(parseReaction(reaction(id('c'), '🤙')).type, 'emoji');
+
+  const custom = parseReaction(reaction(id('c'), ':soapbox:', [['emoji', 'soapbox', 'https://example.com/s.png']]));
+  assert.deepEqual([custom.type, custom.emoji], ['custom', { shortcode: 'soapbox', url: 'https://example.com/s.png' }]);
+
+  // Emoji images must be https
+  assert.equal(parseReaction(reaction(id('c'), ':x:', [['emoji', 'x', 'javascript:alert(1)']])).type, 'emoji');
+
+  // The last e tag is the note reacted to
+  const nested = { ...reaction(id('c'), '+'), tags: [['e', id('d')], ['e', note.id]] };
+  assert.equal(parseReaction(nested).eventId, note.id);
+  assert.equal(parseReaction({ ...reaction(id('c'), '+'), tags: [['e', 'not-an-id']] }), null);
+});
+
+test('counts each author once per reaction', () => {
+  const tally = new ReactionTally(id('c'));
+  assert.equal(tally.add(reaction(id('c'), '+')), note.id);
+  assert.equal(tally.add(reaction(id('c'), '+')), null);
+  // An empty reaction is a like too
+  assert.equal(tally.add(reaction(id('c'), '')), null);
+  tally.add(reaction(id('d'), '+'));
+  tally.add(reaction(id('d'), '-'));
+  tally.add(reaction(id('e'), '🤙'));
+  tally.add(reaction(id('f'), '🤙'));
+
+  const summary = tally.get(note.id);
+  assert.equal(summary.likes, 2);
+  assert.equal(summary.dislikes, 1);
+  assert.deepEqual(summary.reactions.map(r => [r.content, r.count]), [[LIKE, 2], ['🤙', 2], [DISLIKE, 1]]);
+  assert.deepEqual([...summary.own], [LIKE]);
+
+  assert.deepEqual(tally.get(id('9')), { likes: 0, dislikes: 0, reactions: [], own: new Set() });
+});
+
+test('splits reaction filters into chunks of 100 ids', () => {
+  const ids = Array.from({ length: 250 }, (_, i) => i.toString(16).padStart(64, '0'));
+  const filters = getReactionFilters(ids);
+  assert.deepEqual(filters.map(filter => filter['#e'].length), [100, 100, 50]);
+  assert.deepEqual(filters[0].kinds, [REACTION_KIND]);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { schnorr } from '@noble/curves/secp256k1';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import * as nip44 from '../src/lib/nip44.js';
+
+// NIP-44 test vectors in the layout of github.com/paulmillr/nip44's
+// nip44.vectors.json, which this file can be swapped for unchanged. The
+// valid entries and encrypt_msg_lengths are a subset of that file. The
+// invalid get_conversation_key entries use out-of-range secret keys and
+// x coordinates off the curve; the invalid decrypt entries were made for
+// this repo, the padding ones with a correct MAC so unpadding is reached.
+const { v2 } = JSON.parse(readFileSync(new URL('./nip44.vectors.json', import.meta.url), 'utf8'));
+
+test('conversation keys match the vectors', () => {
+  for (const { sec1, pub2, conversation_key } of v2.valid.get_conversation_key) {
+    assert.equal(bytesToHex(nip44.getConversationKey(hexToBytes(sec1), pub2)), conversation_key);
+  }
+});
+
+test('padded lengths match the vectors', () => {
+  for (const [length, padded] of v2.valid.calc_padded_len) {
+    assert.equal(nip44.calcPaddedLength(length), padded);
+  }
+});
+
+test('encrypts and decrypts the vectors both ways', () => {
+  for (const { sec1, sec2, conversation_key, nonce, plaintext, payload } of v2.valid.encrypt_decrypt) {
+    const key = nip44.getConversationKey(hexToBytes(sec1), bytesToHex(schnorr.getPublicKey(hexToBytes(sec2))));
+    assert.equal(bytesToHex(key), conversation_key);
+    assert.equal(nip44.encrypt(plaintext, key, hexToBytes(nonce)), payload);
+    assert.equal(nip44.decrypt(payload, key), plaintext);
+
+    // The other side derives the same key
+    const reverse = nip44.getConversationKey(hexToBytes(sec2), bytesToHex(schnorr.getPublicKey(hexToBytes(sec1))));
+    assert.equal(nip44.decrypt(payload, reverse), plaintext);
+  }
+});
+
+test('refuses plaintexts of invalid length', () => {
+  const key = hexToBytes(v2.valid.encrypt_decrypt[0].conversation_key);
+  for (const length of v2.invalid.encrypt_msg_lengths) {
+    assert.throws(() => nip44.encrypt('a'.repeat(length), key), /length/);
+  }
+});
+
+test('refuses invalid keys', () => {
+  for (const { sec1, pub2, note } of v2.invalid.get_conversation_key) {
+    assert.throws(() => nip44.getConversationKey(hexToBytes(sec1), pub2), undefined, note);
+  }
+});
+
+test('refuses invalid payloads', () => {
+  for (const { conversation_key, payload, note } of v2.invalid.decrypt) {
+    assert.throws(() => nip44.decrypt(payload, hexToBytes(conversation_key)), undefined, note);
+  }
+});
@@ -0,0 +1,231 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr } from '@noble/curves/secp256k1';
+import { bytesToHex } from '@noble/hashes/utils';
+import { RelayPool } from '../src/lib/relay.js';
+import { finalizeEvent, verifyEvent } from '../src/lib/events.js';
+import { matchFilters } from '../src/lib/filter.js';
+import * as nip44 from '../src/lib/nip44.js';
+import { BunkerSigner, parseAuthUrl } from '../src/lib/nip46.js';
+
+const RELAY = 'wss://relay.test';
+
+// In-process relay: every socket opened by the code under test talks to it
+const relay = {
+  sockets: new Set(),
+  listeners: [],
+
+  publish(event) {
+    for (const socket of this.sockets) {
+      for (const [subId, filters] of socket.subs) {
+        if (matchFilters(filters, event)) socket.receive(['EVENT', subId, event]);
+      }
+    }
+    this.listeners.forEach(listener => listener(event));
+  },
+};
+
+class TestWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.subs = new Map();
+    relay.sockets.add(this);
+    setTimeout(() => this.onopen?.(), 0);
+  }
+
+  send(message) {
+    const [type, ...rest] = JSON.parse(message);
+    if (type === 'REQ') {
+      const [subId, ...filters] = rest;
+      this.subs.set(subId, filters);
+      this.receive(['EOSE', subId]);
+    } else if (type === 'CLOSE') {
+      this.subs.delete(rest[0]);
+    } else if (type === 'EVENT') {
+      const [event] = rest;
+      this.receive(['OK', event.id, verifyEvent(event), '']);
+      relay.publish(event);
+    }
+  }
+
+  receive(message) {
+    setTimeout(() => this.onmessage?.({ data: JSON.stringify(message) }), 0);
+  }
+
+  close() {
+    relay.sockets.delete(this);
+    setTimeout(() => this.onclose?.(), 0);
+  }
+}
+
+globalThis.WebSocket = TestWebSocket;
+
+/**
+ * A remote signer holding `userKey`, answering kind 24133 requests as
+ * signerKey's pubkey. With `authUrl` set, sign_event first asks the user
+ * to approve on that page.
+ */
+function startStandInSigner({ userKey, secret = null, authUrl = null }) {
+  const signerKey = schnorr.utils.randomPrivateKey();
+  const pubkey = bytesToHex(schnorr.getPublicKey(signerKey));
+  const userPubkey = bytesToHex(schnorr.getPublicKey(userKey));
+
+  const reply = (client, id, result, error) => {
+    const content = nip44.encrypt(JSON.stringify({ id, result, error }), nip44.getConversationKey(signerKey, client));
+    relay.publish(finalizeEvent({
+      kind: 24133,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [['p', client]],
+      content,
+    }, signerKey));
+  };
+
+  const handle = (client, { id, method, params }) => {
+    switch (method) {
+      case 'connect':
+        return params[1] === (secret || '') ? reply(client, id, 'ack') : reply(client, id, '', 'wrong secret');
+      case 'get_public_key':
+        return reply(client, id, userPubkey);
+      case 'ping':
+        return reply(client, id, 'pong');
+      case 'sign_event': {
+        const sign = () => reply(client, id, JSON.stringify(finalizeEvent(JSON.parse(params[0]), userKey)));
+        if (!authUrl) return sign();
+        reply(client, id, 'auth_url', authUrl);
+        return setTimeout(sign, 10);
+      }
+      case 'nip44_encrypt':
+        return reply(client, id, nip44.encrypt(params[1], nip44.getConversationKey(userKey, params[0])));
+      case 'nip44_decrypt':
+        return reply(client, id, nip44.decrypt(params[1], nip44.getConversationKey(userKey, params[0])));
+      default:
+        return reply(client, id, '', `unsupported method ${method}`);
+    }
+  };
+
+  const listener = (event) => {
+    if (event.kind !== 24133 || !event.tags.some(tag => tag[0] === 'p' && tag[1] === pubkey)) return;
+    handle(event.pubkey, JSON.parse(nip44.decrypt(event.content, nip44.getConversationKey(signerKey, event.pubkey))));
+  };
+  relay.listeners.push(listener);
+
+  return {
+    pubkey,
+    userPubkey,
+    // Answer a nostrconnect:// URI the way a signer app would
+    acceptConnectURI(uri) {
+      const url = new URL(uri);
+      const client = url.hostname || url.pathname.replace(/^\/+/, '');
+      reply(client, bytesToHex(schnorr.utils.randomPrivateKey()).slice(0, 16), url.searchParams.get('secret'));
+    },
+    stop() {
+      relay.listeners.splice(relay.listeners.indexOf(listener), 1);
+    },
+  };
+}
+
+test('bunker:// login connects and forwards requests', async () => {
+  const userKey = schnorr.utils.randomPrivateKey();
+  const standIn = startStandInSigner({ userKey, secret: 's3cret' });
+  const pool = new RelayPool();
+  const signer = BunkerSigner.fromBunkerURI(`bunker://${standIn.pubkey}?relay=${RELAY}&secret=s3cret`, { pool });
+
+  try {
+    await signer.connect();
+    await signer.ping();
+    assert.equal(await signer.getPublicKey(), standIn.userPubkey);
+
+    const event = await signer.signEvent({ kind: 1, created_at: 1, tags: [], content: 'hello' });
+    assert.equal(event.pubkey, standIn.userPubkey);
+    assert.ok(verifyEvent(event));
+
+    const peer = bytesToHex(schnorr.getPublicKey(schnorr.utils.randomPrivateKey()));
+    const payload = await signer.nip44Encrypt(peer, 'secret message');
+    assert.equal(await signer.nip44Decrypt(peer, payload), 'secret message');
+  } finally {
+    signer.close();
+    pool.closeAll();
+    standIn.stop();
+  }
+});
+
+test('a wrong secret is refused', async () => {
+  const standIn = startStandInSigner({ userKey: schnorr.utils.randomPrivateKey(), secret: 's3cret' });
+  const pool = new RelayPool();
+  const signer = BunkerSigner.fromBunkerURI(`bunker://${standIn.pubkey}?relay=${RELAY}&secret=guess`, { pool });
+
+  try {
+    await assert.rejects(signer.connect(), /wrong secret/);
+  } finally {
+    signer.close();
+    pool.closeAll();
+    standIn.stop();
+  }
+});
+
+test('a request that cannot be published is forgotten', async () => {
+  const standIn = startStandInSigner({ userKey: schnorr.utils.randomPrivateKey() });
+  const pool = new RelayPool();
+  const signer = BunkerSigner.fromBunkerURI(`bunker://${standIn.pubkey}?relay=${RELAY}`, { pool });
+
+  try {
+    pool.publish = async () => { throw new Error('relay exploded'); };
+    await assert.rejects(signer.ping(), /relay exploded/);
+    assert.equal(signer.pending.size, 0);
+
+    pool.publish = async (event, { relays }) => relays.map(url => ({ relay: url, accepted: false, message: 'blocked' }));
+    await assert.rejects(signer.ping(), /Could not reach the remote signer: blocked/);
+    assert.equal(signer.pending.size, 0);
+  } finally {
+    signer.close();
+    pool.closeAll();
+    standIn.stop();
+  }
+});
+
+test('auth URLs go to onAuthUrl and the request still completes', async () => {
+  const standIn = startStandInSigner({ userKey: schnorr.utils.randomPrivateKey(), authUrl: 'https://signer.example/approve' });
+  const pool = new RelayPool();
+  const authUrls = [];
+  const signer = BunkerSigner.fromBunkerURI(`bunker://${standIn.pubkey}?relay=${RELAY}`, {
+    pool,
+    onAuthUrl: (url) => authUrls.push(url),
+  });
+
+  try {
+    const event = await signer.signEvent({ kind: 1, created_at: 1, tags: [], content: 'approved' });
+    assert.equal(event.content, 'approved');
+    assert.deepEqual(authUrls, ['https://signer.example/approve']);
+  } finally {
+    signer.close();
+    pool.closeAll();
+    standIn.stop();
+  }
+});
+
+test('nostrconnect:// login resolves once the signer answers with the secret', async () => {
+  const standIn = startStandInSigner({ userKey: schnorr.utils.randomPrivateKey() });
+  const pool = new RelayPool();
+  const attempt = BunkerSigner.startNostrConnect({ relays: [RELAY], pool, timeout: 2000 });
+
+  try {
+    // Let the client's subscription reach the relay first
+    await new Promise(resolve => setTimeout(resolve, 20));
+    standIn.acceptConnectURI(attempt.uri);
+
+    const signer = await attempt.connected;
+    assert.equal(signer.remotePubkey, standIn.pubkey);
+    assert.equal(await signer.getPublicKey(), standIn.userPubkey);
+    signer.close();
+  } finally {
+    attempt.cancel();
+    pool.closeAll();
+    standIn.stop();
+  }
+});
+
+test('only http(s) auth URLs are shown', () => {
+  assert.equal(parseAuthUrl('https://signer.example/approve?x=1'), 'https://signer.example/approve?x=1');
+  assert.equal(parseAuthUrl('javascript:alert(1)'), null);
+  assert.equal(parseAuthUrl('not a url'), null);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { KEY_SECURITY, decrypt, encrypt, getKeySecurity } from '../src/lib/nip49.js';
+import { ncryptsecDecode, ncryptsecEncode } from '../src/lib/nip19.js';
+
+// Test vectors from the NIP-49 spec
+const vectors = JSON.parse(readFileSync(new URL('./nip49.vectors.json', import.meta.url), 'utf8'));
+const secretKey = hexToBytes('3501454135014541350145413501453fefb02227e449e57cf4d3a3ce05378683');
+
+test('decrypts the spec vector', async () => {
+  for (const { ncryptsec, password, log_n, secret_key } of vectors.decrypt) {
+    assert.equal(hexToBytes(ncryptsecDecode(ncryptsec))[1], log_n);
+    assert.equal(bytesToHex(await decrypt(ncryptsec, password)), secret_key);
+    await assert.rejects(decrypt(ncryptsec, `${password}!`), /Wrong password/);
+  }
+});
+
+test('round-trips with the key security byte', async () => {
+  const ncryptsec = await encrypt(secretKey, 'hunter2', 4, KEY_SECURITY.SECURE);
+  assert.equal(getKeySecurity(ncryptsec), KEY_SECURITY.SECURE);
+  assert.equal(hexToBytes(ncryptsecDecode(ncryptsec))[1], 4);
+  assert.deepEqual(await decrypt(ncryptsec, 'hunter2'), secretKey);
+});
+
+test('normalizes passwords before deriving the key', async () => {
+  for (const { password, normalized } of vectors.password_normalization) {
+    assert.equal(password.normalize('NFKC'), normalized);
+    const ncryptsec = await encrypt(secretKey, password, 4);
+    assert.deepEqual(await decrypt(ncryptsec, normalized), secretKey);
+  }
+});
+
+test('refuses tampered ciphertexts', async () => {
+  const ncryptsec = await encrypt(secretKey, 'hunter2', 4, KEY_SECURITY.SECURE);
+  const payload = hexToBytes(ncryptsecDecode(ncryptsec));
+  // The key security byte is authenticated data
+  payload[42] = KEY_SECURITY.INSECURE;
+  await assert.rejects(decrypt(ncryptsecEncode(bytesToHex(payload)), 'hunter2'), /Wrong password/);
+});
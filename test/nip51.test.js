@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr } from '@noble/curves/secp256k1';
+import { LocalSigner } from '../src/lib/signer.js';
+import {
+  BOOKMARKS_KIND, FOLLOW_SET_KIND, MUTE_LIST_KIND, MuteList,
+  addListItem, createList, createListEvent, fetchList, fetchLists, findOrCreateSet, getListItems, parseList
+} from '../src/lib/nip51.js';
+
+const signer = new LocalSigner(schnorr.utils.randomPrivateKey());
+const pubkey = await signer.getPublicKey();
+const id = (c) => c.repeat(64);
+
+// Stands in for OutboxRouter: delivers `events`, then EOSE from `eosedBy`
+function fakeRouter(events, eosedBy) {
+  return {
+    async subscribeAuthors(authors, filter, onEvent, onEose) {
+      const handle = { eosedBy: new Set(eosedBy) };
+      setTimeout(() => {
+        events.filter(event => filter.kinds.includes(event.kind)).forEach(onEvent);
+        onEose();
+      }, 0);
+      return handle;
+    },
+  };
+}
+
+test('private items round-trip through the encrypted content', async () => {
+  let list = createList(MUTE_LIST_KIND);
+  list = addListItem(list, ['t', 'spam']);
+  list = addListItem(list, ['p', id('a')], true);
+  const event = await signer.signEvent(await createListEvent(list, signer));
+
+  assert.deepEqual(event.tags, [['t', 'spam']]);
+  const parsed = await parseList(event, signer);
+  assert.deepEqual(getListItems(parsed), [['t', 'spam'], ['p', id('a')]]);
+
+  // Without the author's key the private items can't be read, or saved over
+  const other = await parseList(event);
+  assert.equal(other.unreadable, true);
+  await assert.rejects(createListEvent(other, signer));
+});
+
+test('fetchList picks the newest list', async () => {
+  const older = await signer.signEvent({ kind: BOOKMARKS_KIND, created_at: 1, tags: [['e', id('a')]], content: '' });
+  const newer = await signer.signEvent({ kind: BOOKMARKS_KIND, created_at: 2, tags: [['e', id('b')]], content: '' });
+
+  const list = await fetchList(fakeRouter([older, newer], ['wss://relay.example']), pubkey, BOOKMARKS_KIND, signer);
+  assert.deepEqual(getListItems(list), [['e', id('b')]]);
+});
+
+test('fetchList returns an empty list only when relays answered', async () => {
+  const list = await fetchList(fakeRouter([], ['wss://relay.example']), pubkey, MUTE_LIST_KIND, signer);
+  assert.deepEqual(getListItems(list), []);
+
+  await assert.rejects(fetchList(fakeRouter([], []), pubkey, MUTE_LIST_KIND, signer), /None of the relays answered/);
+  await assert.rejects(fetchLists(fakeRouter([], []), pubkey, MUTE_LIST_KIND, signer));
+});
+
+test('MuteList matches pubkeys, hashtags, words and threads', () => {
+  const mutes = new MuteList([['p', id('a')], ['t', 'Spam'], ['word', 'casino'], ['e', id('r')]]);
+  const note = (fields) => ({ id: id('1'), pubkey: id('b'), tags: [], content: 'hello', ...fields });
+
+  assert.equal(mutes.isMuted(note({})), false);
+  assert.equal(mutes.isMuted(note({ pubkey: id('a') })), true);
+  assert.equal(mutes.isMuted(note({ tags: [['t', 'spam']] })), true);
+  assert.equal(mutes.isMuted(note({ content: 'Best CASINO in town' })), true);
+  assert.equal(mutes.isMuted(note({ tags: [['e', id('r'), '', 'root']] })), true);
+});
+
+test('findOrCreateSet never reuses an identifier that is taken', () => {
+  const friends = addListItem(createList(FOLLOW_SET_KIND, 'my-friends', 'My Friends'), ['p', id('a')]);
+  const untitled = createList(FOLLOW_SET_KIND, 'work');
+  const sets = [friends, untitled];
+
+  assert.equal(findOrCreateSet(sets, FOLLOW_SET_KIND, 'my friends'), friends);
+  assert.equal(findOrCreateSet(sets, FOLLOW_SET_KIND, 'my-friends'), friends);
+  assert.equal(findOrCreateSet(sets, FOLLOW_SET_KIND, 'My-Friends'), friends);
+  assert.equal(findOrCreateSet(sets, FOLLOW_SET_KIND, 'Work'), untitled);
+
+  const created = findOrCreateSet(sets, FOLLOW_SET_KIND, 'Climbers');
+  assert.equal(created.identifier, 'climbers');
+  assert.equal(created.title, 'Climbers');
+  assert.deepEqual(getListItems(created), []);
+});
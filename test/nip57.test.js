@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr, secp256k1 } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex } from '@noble/hashes/utils';
+import { finalizeEvent } from '../src/lib/events.js';
+import { calculateTotalZaps, getZapEndpoint, requestZapInvoice, validateZapReceipt } from '../src/lib/nip57.js';
+
+const metadataEvent = { kind: 0, pubkey: 'a'.repeat(64), tags: [], content: JSON.stringify({ lud16: 'alice@wallet.example' }) };
+const endpoint = {
+  callback: 'https://wallet.example/callback',
+  allowsNostr: true,
+  nostrPubkey: 'b'.repeat(64),
+  minSendable: 1000,
+  maxSendable: 1000000,
+};
+
+// Answers with `body` and `status`, recording what was requested
+function fakeFetch(body, status = 200) {
+  const calls = [];
+  const fetcher = async (url, init) => {
+    calls.push({ url, init });
+    return { ok: status >= 200 && status < 300, status, json: async () => body };
+  };
+  return { fetcher, calls };
+}
+
+test('reads the zap endpoint from the Lightning Address', async () => {
+  const { fetcher, calls } = fakeFetch(endpoint);
+  const result = await getZapEndpoint(metadataEvent, { fetch: fetcher });
+
+  assert.equal(calls[0].url, 'https://wallet.example/.well-known/lnurlp/alice');
+  assert.ok(calls[0].init.signal instanceof AbortSignal);
+  assert.equal(result.callback, endpoint.callback);
+  assert.equal(result.nostrPubkey, endpoint.nostrPubkey);
+});
+
+test('no endpoint when the wallet server fails or stalls', async () => {
+  assert.equal(await getZapEndpoint(metadataEvent, { fetch: fakeFetch(endpoint, 404).fetcher }), null);
+  assert.equal(await getZapEndpoint(metadataEvent, { fetch: fakeFetch({ status: 'ERROR', reason: 'gone' }).fetcher }), null);
+
+  const aborted = async () => { throw new DOMException('The operation was aborted', 'AbortError'); };
+  assert.equal(await getZapEndpoint(metadataEvent, { fetch: aborted }), null);
+});
+
+test('invoice requests report wallet errors', async () => {
+  const request = (fetcher) => requestZapInvoice({ ...endpoint, lnurl: 'lnurl1' }, { kind: 9734, tags: [['amount', '21000']], content: '' }, { fetch: fetcher });
+
+  await assert.rejects(request(fakeFetch({ status: 'ERROR', reason: 'Amount too small' }, 400).fetcher), /Amount too small/);
+  await assert.rejects(request(fakeFetch(null, 502).fetcher), /status 502/);
+  await assert.rejects(request(async () => { throw new DOMException('aborted', 'AbortError'); }), /did not answer in time/);
+});
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function toWords(bytes) {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+  }
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+  return words;
+}
+
+function bech32Encode(prefix, words) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  const values = [...prefix].map(c => c.charCodeAt(0) >> 5).concat(0, [...prefix].map(c => c.charCodeAt(0) & 31), words, [0, 0, 0, 0, 0, 0]);
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) if ((top >> i) & 1) chk ^= GEN[i];
+  }
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => ((chk ^ 1) >> (5 * (5 - i))) & 31);
+  return `${prefix}1${words.concat(checksum).map(word => CHARSET[word]).join('')}`;
+}
+
+/**
+ * A signed BOLT-11 invoice for `prefix` (network and amount) whose
+ * description hash commits to `description`
+ */
+function createInvoice(prefix, description) {
+  const field = (type, bytes) => {
+    const words = toWords(bytes);
+    return [CHARSET.indexOf(type), words.length >> 5, words.length & 31, ...words];
+  };
+  const timestamp = [6, 5, 4, 3, 2, 1, 0].map(i => Math.floor(1700000000 / 32 ** i) % 32);
+  const data = [
+    ...timestamp,
+    ...field('p', new Uint8Array(32).fill(1)),
+    ...field('h', sha256(new TextEncoder().encode(description))),
+  ];
+
+  const message = new Uint8Array([...new TextEncoder().encode(prefix), ...packWords(data)]);
+  const sig = secp256k1.sign(sha256(message), secp256k1.utils.randomPrivateKey());
+  return bech32Encode(prefix, data.concat(toWords([...sig.toCompactRawBytes(), sig.recovery])));
+}
+
+// 5-bit words back to bytes, the last one zero-padded
+function packWords(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const word of words) {
+    acc = (acc << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 255);
+    }
+  }
+  if (bits > 0) bytes.push((acc << (8 - bits)) & 255);
+  return bytes;
+}
+
+const senderKey = schnorr.utils.randomPrivateKey();
+const providerKey = schnorr.utils.randomPrivateKey();
+const providerPubkey = bytesToHex(schnorr.getPublicKey(providerKey));
+const recipient = 'a'.repeat(64);
+
+function createZapRequest(amount = '21000') {
+  const tags = [['p', recipient], ['relays', 'wss://relay.example']];
+  if (amount) tags.push(['amount', amount]);
+  return finalizeEvent({ kind: 9734, created_at: 1700000000, tags, content: 'Great post' }, senderKey);
+}
+
+/**
+ * A zap receipt as the recipient's LNURL provider would publish it. The
+ * invoice's description hash covers `hashed`, which is normally the
+ * description itself.
+ */
+function createReceipt({ prefix = 'lnbc210n', zapRequest = createZapRequest(), hashed = null, key = providerKey } = {}) {
+  const description = JSON.stringify(zapRequest);
+  return finalizeEvent({
+    kind: 9735,
+    created_at: 1700000001,
+    tags: [['p', recipient], ['bolt11', createInvoice(prefix, hashed ?? description)], ['description', description]],
+    content: '',
+  }, key);
+}
+
+test('accepts a receipt from the LNURL provider with a matching invoice', () => {
+  const zap = validateZapReceipt(createReceipt(), providerPubkey);
+  assert.equal(zap.amount, 21000);
+  assert.equal(zap.recipientPubkey, recipient);
+  assert.equal(zap.comment, 'Great post');
+
+  // Without an amount in the request, the invoice's amount is taken
+  assert.equal(validateZapReceipt(createReceipt({ zapRequest: createZapRequest(null) }), providerPubkey).amount, 21000);
+});
+
+test('rejects receipts not signed by the LNURL provider', () => {
+  const receipt = createReceipt();
+  assert.equal(validateZapReceipt(receipt, 'b'.repeat(64)), null);
+  assert.equal(validateZapReceipt(createReceipt({ key: schnorr.utils.randomPrivateKey() }), providerPubkey), null);
+  assert.equal(validateZapReceipt({ ...receipt, created_at: receipt.created_at + 1 }, providerPubkey), null);
+});
+
+test('rejects an invoice whose description hash does not match', () => {
+  assert.equal(validateZapReceipt(createReceipt({ hashed: 'something else' }), providerPubkey), null);
+
+  // A zap request that isn't signed by the sender
+  const zapRequest = { ...createZapRequest(), content: 'edited' };
+  assert.equal(validateZapReceipt(createReceipt({ zapRequest }), providerPubkey), null);
+});
+
+test('rejects an invoice for a different amount than requested', () => {
+  assert.equal(validateZapReceipt(createReceipt({ prefix: 'lnbc10n' }), providerPubkey), null);
+  assert.equal(validateZapReceipt(createReceipt({ prefix: 'lnbc' }), providerPubkey), null);
+});
+
+test('totals only valid receipts', () => {
+  const receipts = [
+    createReceipt(),
+    createReceipt({ prefix: 'lnbc1u', zapRequest: createZapRequest('100000') }),
+    createReceipt({ key: schnorr.utils.randomPrivateKey() }),
+    createReceipt({ hashed: 'something else' }),
+    createReceipt({ prefix: 'lnbc10n' }),
+  ];
+  assert.equal(calculateTotalZaps(receipts, providerPubkey), 121);
+});
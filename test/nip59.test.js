@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr } from '@noble/curves/secp256k1';
+import { LocalSigner } from '../src/lib/signer.js';
+import { GIFT_WRAP_KIND, SEAL_KIND, createRumor, createSeal, createWrap, unwrapEvent, wrapEvent } from '../src/lib/nip59.js';
+
+const TWO_DAYS = 2 * 24 * 60 * 60;
+
+const alice = new LocalSigner(schnorr.utils.randomPrivateKey());
+const bob = new LocalSigner(schnorr.utils.randomPrivateKey());
+const mallory = new LocalSigner(schnorr.utils.randomPrivateKey());
+
+const rumor = createRumor({ kind: 14, tags: [['p', bob.pubkey]], content: 'hi bob' }, alice.pubkey);
+
+test('the recipient and the sender can each open their wrap', async () => {
+  const forBob = await wrapEvent(rumor, alice, bob.pubkey);
+  const forAlice = await wrapEvent(rumor, alice, alice.pubkey);
+
+  assert.equal(forBob.kind, GIFT_WRAP_KIND);
+  assert.deepEqual(forBob.tags, [['p', bob.pubkey]]);
+  assert.deepEqual(forAlice.tags, [['p', alice.pubkey]]);
+  // Each wrap is signed by its own throwaway key
+  assert.notEqual(forBob.pubkey, alice.pubkey);
+  assert.notEqual(forBob.pubkey, forAlice.pubkey);
+
+  assert.deepEqual(await unwrapEvent(forBob, bob), rumor);
+  assert.deepEqual(await unwrapEvent(forAlice, alice), rumor);
+});
+
+test('a wrap for someone else cannot be opened', async () => {
+  const forBob = await wrapEvent(rumor, alice, bob.pubkey);
+  await assert.rejects(unwrapEvent(forBob, mallory));
+});
+
+test('a tampered wrap is rejected', async () => {
+  const forBob = await wrapEvent(rumor, alice, bob.pubkey);
+  const content = forBob.content.slice(0, -2) + (forBob.content.endsWith('AA') ? 'BB' : 'AA');
+  await assert.rejects(unwrapEvent({ ...forBob, content }, bob), /Invalid gift wrap/);
+  await assert.rejects(unwrapEvent({ ...forBob, kind: 1 }, bob), /Invalid gift wrap/);
+});
+
+test('a rumor must be by the seal author', async () => {
+  // Mallory seals a rumor claiming to be from Alice
+  const forged = createRumor({ kind: 14, tags: [['p', bob.pubkey]], content: 'send me your keys' }, alice.pubkey);
+  const wrap = createWrap(await createSeal(forged, mallory, bob.pubkey), bob.pubkey);
+  await assert.rejects(unwrapEvent(wrap, bob), /does not match seal/);
+
+  // Or edits a rumor after its id was computed
+  const edited = { ...createRumor({ kind: 14, tags: [], content: 'hello' }, mallory.pubkey), content: 'edited' };
+  await assert.rejects(unwrapEvent(createWrap(await createSeal(edited, mallory, bob.pubkey), bob.pubkey), bob), /Invalid rumor/);
+});
+
+test('seals and wraps are dated up to two days in the past', async () => {
+  const before = Math.floor(Date.now() / 1000);
+  const times = [];
+  for (let i = 0; i < 10; i++) {
+    const seal = await createSeal(rumor, alice, bob.pubkey);
+    const wrap = createWrap(seal, bob.pubkey);
+    assert.equal(seal.kind, SEAL_KIND);
+    times.push(seal.created_at, wrap.created_at);
+  }
+  const after = Math.floor(Date.now() / 1000);
+
+  for (const time of times) {
+    assert.ok(time <= after && time >= before - TWO_DAYS, `${time} is outside the last two days`);
+  }
+  assert.ok(new Set(times).size > 1, 'timestamps are not randomized');
+});
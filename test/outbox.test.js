@@ -0,0 +1,122 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RelayPool } from '../src/lib/relay.js';
+import { storeUserRelays } from '../src/lib/nip65.js';
+import { OutboxRouter, cleanRelayURL } from '../src/lib/outbox.js';
+
+globalThis.localStorage = {
+  data: new Map(),
+  getItem(key) { return this.data.has(key) ? this.data.get(key) : null; },
+  setItem(key, value) { this.data.set(key, String(value)); },
+  removeItem(key) { this.data.delete(key); },
+};
+
+// Relays answer every REQ with EOSE and nothing else
+class TestWebSocket {
+  constructor(url) {
+    this.url = url;
+    setTimeout(() => this.onopen?.(), 0);
+  }
+
+  send(message) {
+    const [type, subId] = JSON.parse(message);
+    if (type === 'REQ') setTimeout(() => this.onmessage?.({ data: JSON.stringify(['EOSE', subId]) }), 0);
+  }
+
+  close() {
+    setTimeout(() => this.onclose?.(), 0);
+  }
+}
+
+globalThis.WebSocket = TestWebSocket;
+
+const OWN_RELAYS = [{ url: 'wss://own.example/', read: true, write: true }];
+
+// A user per letter, each writing to and reading from the given relays
+function storeRelays(users) {
+  for (const [pubkey, urls] of Object.entries(users)) {
+    storeUserRelays(pubkey, urls.map(url => ({ url, read: true, write: true })));
+  }
+}
+
+beforeEach(() => localStorage.data.clear());
+
+test('keeps public relays, normalized', () => {
+  assert.equal(cleanRelayURL('wss://relay.damus.io/'), 'wss://relay.damus.io/');
+  assert.equal(cleanRelayURL('nos.lol'), 'wss://nos.lol/');
+  assert.equal(cleanRelayURL('wss://8.8.8.8'), 'wss://8.8.8.8/');
+  assert.equal(cleanRelayURL('wss://172.32.0.1'), 'wss://172.32.0.1/');
+  assert.equal(cleanRelayURL('wss://[2001:db8::1]'), 'wss://[2001:db8::1]/');
+});
+
+test('drops relays that are not on the public internet', () => {
+  const blocked = [
+    'ws://localhost:7777', 'wss://LOCALHOST.', 'wss://relay.localhost', 'wss://printer.local', 'wss://example.onion',
+    'wss://127.0.0.1', 'wss://0x7f.1', 'wss://2130706433', 'wss://0.0.0.0',
+    'wss://10.1.2.3', 'wss://172.16.0.1', 'wss://172.31.255.255', 'wss://192.168.1.1',
+    'wss://169.254.169.254', 'wss://100.64.0.1',
+    'wss://[::1]', 'wss://[0:0:0:0:0:0:0:1]', 'wss://[::]', 'wss://[::ffff:127.0.0.1]', 'wss://[::ffff:192.168.0.1]',
+    'wss://[fc00::1]', 'wss://[fd12:3456::1]', 'wss://[fe80::1]', 'wss://[febf::1]',
+  ];
+  for (const url of blocked) assert.equal(cleanRelayURL(url), null, url);
+});
+
+test('drops other protocols and garbage', () => {
+  assert.equal(cleanRelayURL('https://relay.damus.io'), null);
+  assert.equal(cleanRelayURL('wss://'), null);
+});
+
+test('relays still busy count against the connection cap', async () => {
+  storeRelays({ a: ['wss://a1.example/'], b: ['wss://b1.example/'], c: ['wss://c1.example/'] });
+  const pool = new RelayPool();
+  const router = new OutboxRouter(pool, OWN_RELAYS, { maxConnections: 2 });
+
+  const handle = await router.subscribeAuthors(['a', 'b'], { kinds: [1] }, () => {}, null);
+  assert.deepEqual([...pool.relays.keys()].sort(), ['wss://a1.example/', 'wss://b1.example/']);
+
+  // Both are subscribed to, so c's relay doesn't fit
+  assert.deepEqual(await router.getInboxRelays(['c']), []);
+
+  handle.close();
+  assert.deepEqual(await router.getInboxRelays(['c']), ['wss://c1.example/']);
+  pool.closeAll();
+});
+
+test('relays already open are preferred', async () => {
+  storeRelays({ a: ['wss://a1.example/'], b: ['wss://b1.example/', 'wss://a1.example/'] });
+  const pool = new RelayPool();
+  const router = new OutboxRouter(pool, OWN_RELAYS, { relaysPerRecipient: 1 });
+
+  await router.queryAuthors(['a'], { kinds: [0] });
+  assert.deepEqual(await router.getInboxRelays(['b']), ['wss://a1.example/']);
+  pool.closeAll();
+});
+
+test('idle relays are closed, least recently used first', async () => {
+  storeRelays({ a: ['wss://a1.example/'], b: ['wss://b1.example/'], c: ['wss://c1.example/'] });
+  const pool = new RelayPool();
+  const router = new OutboxRouter(pool, OWN_RELAYS, { maxConnections: 2 });
+
+  await router.queryAuthors(['a'], { kinds: [0] });
+  await router.queryAuthors(['b'], { kinds: [0] });
+  await router.queryAuthors(['a'], { kinds: [1] });
+  await router.queryAuthors(['c'], { kinds: [0] });
+
+  assert.deepEqual([...pool.relays.keys()].sort(), ['wss://a1.example/', 'wss://c1.example/']);
+  pool.closeAll();
+});
+
+test('event lookups ask only as many relay hints as fit', async () => {
+  storeRelays({ a: ['wss://a1.example/'] });
+  const pool = new RelayPool();
+  const router = new OutboxRouter(pool, OWN_RELAYS, { maxConnections: 2 });
+
+  const live = await router.subscribeAuthors(['a'], { kinds: [1] }, () => {}, null);
+  const hints = ['wss://h1.example/', 'wss://h2.example/', 'wss://h3.example/'];
+  assert.equal(await router.getEvent({ id: 'e'.repeat(64), relays: hints }, { eoseTimeout: 100 }), null);
+
+  // a1 is busy, which leaves one connection for the lookup
+  assert.equal([...pool.relays.keys()].filter(url => hints.includes(url)).length, 1);
+  live.close();
+  pool.closeAll();
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schnorr } from '@noble/curves/secp256k1';
+import { finalizeEvent } from '../src/lib/events.js';
+import { RelayPool } from '../src/lib/relay.js';
+
+// Sockets record the REQs they get; the test answers for the relay
+const sockets = [];
+
+class TestWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.reqs = [];
+    this.counts = [];
+    sockets.push(this);
+    setTimeout(() => this.onopen?.(), 0);
+  }
+
+  send(message) {
+    const [type, subId, ...filters] = JSON.parse(message);
+    if (type === 'REQ') this.reqs.push({ subId, filters });
+    if (type === 'COUNT') this.counts.push({ subId, filters });
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  close() {
+    setTimeout(() => this.onclose?.(), 0);
+  }
+}
+
+globalThis.WebSocket = TestWebSocket;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const secretKey = schnorr.utils.randomPrivateKey();
+
+test('one REQ per relay, even when its URL is spelled differently', async () => {
+  sockets.length = 0;
+  const pool = new RelayPool();
+  const handle = pool.subscribeMap([
+    { url: 'wss://relay.test', filters: [{ kinds: [1] }] },
+    { url: 'wss://relay.test/', filters: [{ kinds: [7] }, { kinds: [1] }] },
+    { url: 'relay.test:443', filters: [{ kinds: [0] }] },
+  ], () => {}, null);
+  await sleep(10);
+
+  assert.equal(sockets.length, 1);
+  assert.equal(sockets[0].reqs.length, 1);
+  assert.deepEqual(sockets[0].reqs[0].filters, [{ kinds: [1] }, { kinds: [7] }, { kinds: [0] }]);
+  assert.equal(handle.subs.length, 1);
+
+  handle.close();
+  pool.closeAll();
+});
+
+test('events from several relays are delivered and stored once', async () => {
+  sockets.length = 0;
+  const saved = [];
+  const store = { saveEvent: async (event) => { saved.push(event.id); } };
+  const pool = new RelayPool({ store });
+  const received = [];
+  const handle = pool.subscribe([{ kinds: [1] }], (event) => received.push(event.id), null, {
+    relays: ['wss://one.test', 'wss://two.test'],
+  });
+  await sleep(10);
+
+  const event = finalizeEvent({ kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content: 'hi' }, secretKey);
+  for (const socket of sockets) socket.receive(['EVENT', socket.reqs[0].subId, event]);
+
+  assert.deepEqual(received, [event.id]);
+  assert.deepEqual(saved, [event.id]);
+  assert.deepEqual(pool.getSeenOn(event.id).sort(), ['wss://one.test/', 'wss://two.test/']);
+
+  handle.close();
+  pool.closeAll();
+});
+
+test('remembers where only the most recently seen events came from', async () => {
+  sockets.length = 0;
+  const pool = new RelayPool({ seenOnLimit: 2 });
+  const handle = pool.subscribe([{ kinds: [1] }], () => {}, null, { relays: ['wss://one.test', 'wss://two.test'] });
+  await sleep(10);
+
+  const [one, two] = sockets;
+  const events = ['a', 'b', 'c'].map(content => finalizeEvent({ kind: 1, created_at: 1, tags: [], content }, secretKey));
+  one.receive(['EVENT', one.reqs[0].subId, events[0]]);
+  one.receive(['EVENT', one.reqs[0].subId, events[1]]);
+  // Seeing the first event again keeps it
+  two.receive(['EVENT', two.reqs[0].subId, events[0]]);
+  one.receive(['EVENT', one.reqs[0].subId, events[2]]);
+
+  assert.deepEqual(pool.getSeenOn(events[0].id), ['wss://one.test/', 'wss://two.test/']);
+  assert.deepEqual(pool.getSeenOn(events[1].id), []);
+  assert.deepEqual(pool.getSeenOn(events[2].id), ['wss://one.test/']);
+  assert.equal(pool.seenOn.size, 2);
+
+  handle.close();
+  pool.closeAll();
+});
+
+test('counts only matching events when a relay has no COUNT', async () => {
+  sockets.length = 0;
+  const pool = new RelayPool();
+  const note = 'a'.repeat(64);
+  const reply = (tags) => finalizeEvent({ kind: 1, created_at: 1, tags, content: '' }, secretKey);
+
+  const counting = pool.count([{ kinds: [1], '#e': [note] }], {
+    relays: ['wss://one.test'],
+    match: (event) => event.tags.some(tag => tag[1] === note && tag[3] === 'reply'),
+  });
+  await sleep(10);
+
+  const [socket] = sockets;
+  socket.receive(['CLOSED', socket.counts[0].subId, 'unsupported: no COUNT here']);
+  await sleep(10);
+  const { subId } = socket.reqs[0];
+  socket.receive(['EVENT', subId, reply([['e', note, '', 'reply']])]);
+  socket.receive(['EVENT', subId, reply([['e', note, '', 'mention']])]);
+  socket.receive(['EOSE', subId]);
+
+  const result = await counting;
+  assert.equal(result.count, 1);
+  assert.equal(result.approximate, false);
+
+  pool.closeAll();
+});
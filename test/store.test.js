@@ -0,0 +1,133 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventStore } from '../src/lib/store.js';
+
+const alice = 'a'.repeat(64);
+const bob = 'b'.repeat(64);
+
+let stores = 0;
+const newStore = () => new EventStore(`test-${++stores}`);
+
+let ids = 0;
+function event(fields) {
+  return { id: (++ids).toString(16).padStart(64, '0'), pubkey: alice, kind: 1, created_at: 100, tags: [], content: '', ...fields };
+}
+
+test('keeps only the newest version of replaceable events', async () => {
+  const store = newStore();
+  const old = event({ kind: 0, created_at: 100 });
+  const current = event({ kind: 0, created_at: 200 });
+
+  assert.equal(await store.saveEvent(old), true);
+  assert.equal(await store.saveEvent(current), true);
+  assert.equal(await store.getEvent(old.id), null);
+  assert.deepEqual(await store.getReplaceable(0, alice), current);
+
+  // An older version arriving late is ignored
+  assert.equal(await store.saveEvent(event({ kind: 0, created_at: 150 })), false);
+  // On a tie the lowest id wins
+  const tie = { ...event({ kind: 0, created_at: 200 }), id: '0'.repeat(64) };
+  assert.equal(await store.saveEvent(tie), true);
+  assert.deepEqual(await store.getReplaceable(0, alice), tie);
+
+  assert.equal(await store.count(), 1);
+});
+
+test('addressable events are replaced per d tag', async () => {
+  const store = newStore();
+  const first = event({ kind: 30023, tags: [['d', 'one']], created_at: 100 });
+  const second = event({ kind: 30023, tags: [['d', 'two']], created_at: 100 });
+  const edited = event({ kind: 30023, tags: [['d', 'one']], created_at: 300 });
+
+  for (const e of [first, second, edited]) await store.saveEvent(e);
+  assert.deepEqual(await store.getReplaceable(30023, alice, 'one'), edited);
+  assert.deepEqual(await store.getReplaceable(30023, alice, 'two'), second);
+  assert.equal(await store.getReplaceable(30023, bob, 'one'), null);
+  assert.equal(await store.count(), 2);
+});
+
+test('ephemeral and duplicate events are not stored', async () => {
+  const store = newStore();
+  const note = event({});
+  assert.equal(await store.saveEvent(event({ kind: 20001 })), false);
+  assert.equal(await store.saveEvent(note), true);
+  assert.equal(await store.saveEvent(note), false);
+  assert.equal(await store.count(), 1);
+});
+
+test('deletion requests remove the author\'s events', async () => {
+  const store = newStore();
+  const note = event({});
+  const bobsNote = event({ pubkey: bob });
+  await store.saveEvent(note);
+  await store.saveEvent(bobsNote);
+
+  await store.saveEvent(event({ kind: 5, created_at: 200, tags: [['e', note.id], ['e', bobsNote.id]] }));
+  assert.equal(await store.getEvent(note.id), null);
+  assert.deepEqual(await store.getEvent(bobsNote.id), bobsNote);
+
+  // Deleted events don't come back from another relay
+  assert.equal(await store.saveEvent(note), false);
+
+  // Bob can't delete Alice's events
+  const other = event({});
+  await store.saveEvent(event({ pubkey: bob, kind: 5, tags: [['e', other.id]] }));
+  assert.equal(await store.saveEvent(other), true);
+});
+
+test('address deletions remove versions up to the request', async () => {
+  const store = newStore();
+  const address = `30003:${alice}:pins`;
+  await store.saveEvent(event({ kind: 30003, tags: [['d', 'pins']], created_at: 100 }));
+  await store.saveEvent(event({ kind: 5, created_at: 200, tags: [['a', address]] }));
+  assert.equal(await store.getReplaceable(30003, alice, 'pins'), null);
+
+  assert.equal(await store.saveEvent(event({ kind: 30003, tags: [['d', 'pins']], created_at: 150 })), false);
+  const later = event({ kind: 30003, tags: [['d', 'pins']], created_at: 250 });
+  assert.equal(await store.saveEvent(later), true);
+  assert.deepEqual(await store.getReplaceable(30003, alice, 'pins'), later);
+});
+
+test('queries like a relay, newest first', async () => {
+  const store = newStore();
+  const root = event({ created_at: 100 });
+  const reply = event({ pubkey: bob, created_at: 200, tags: [['e', root.id], ['t', 'nostr']] });
+  const reaction = event({ pubkey: bob, kind: 7, created_at: 300, tags: [['e', root.id]] });
+  const later = event({ created_at: 400 });
+  for (const e of [root, reply, reaction, later]) await store.saveEvent(e);
+
+  assert.deepEqual(await store.query([{ authors: [alice] }]), [later, root]);
+  assert.deepEqual(await store.query([{ kinds: [1], '#e': [root.id] }]), [reply]);
+  assert.deepEqual(await store.query([{ '#t': ['nostr'] }]), [reply]);
+  assert.deepEqual(await store.query([{ ids: [root.id, 'f'.repeat(64)] }]), [root]);
+  assert.deepEqual(await store.query([{ since: 200, until: 300 }]), [reaction, reply]);
+  assert.deepEqual(await store.query([{ kinds: [1], limit: 2 }]), [later, reply]);
+
+  // Filters are combined, each with its own limit
+  const results = await store.query([{ authors: [alice], limit: 1 }, { kinds: [7] }, { ids: [later.id] }]);
+  assert.deepEqual(results, [later, reaction]);
+});
+
+test('evicts the least recently stored events', async (t) => {
+  const store = newStore();
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+
+  const events = [];
+  for (const pubkey of [alice, bob, bob, alice, bob]) {
+    now += 1000;
+    events.push(event({ pubkey }));
+    await store.saveEvent(events.at(-1));
+  }
+
+  // Alice's events are kept whatever their age
+  assert.equal(await store.evict({ maxEvents: 3, keepAuthors: [alice] }), 2);
+  const left = await Promise.all(events.map(e => store.getEvent(e.id)));
+  assert.deepEqual(left.map(Boolean), [true, false, false, true, true]);
+
+  now += 1500;
+  assert.equal(await store.evict({ maxAge: 2000 }), 2);
+  assert.deepEqual(await store.query([{}]), [events[4]]);
+  assert.equal(await store.evict({ maxAge: 2000, maxEvents: 1 }), 0);
+});